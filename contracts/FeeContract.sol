@@ -69,19 +69,22 @@ contract FeeContract is Ownable {
     using SafeERC20 for IERC20;
     using SafeMath for uint256;
 
-    IERC20 internal constant DCHF = IERC20(0x045da4bFe02B320f4403674B3b7d121737727A36);
-    IERC20 internal constant MON = IERC20(0x1EA48B9965bb5086F3b468E50ED93888a661fc17);
+    IERC20 public immutable DCHF;
+    IERC20 public immutable MON;
 
-    ICurveFi internal constant curveHelper = ICurveFi(0x97aDC08FA1D849D2C48C5dcC1DaB568B169b0267);
+    ICurveFi public immutable curveHelper;
 
-    address internal constant uniRouter = 0xE592427A0AEce92De3Edee1F18E0157C05861564;
-    address internal constant uniPool = 0x21f396Dd37a26D7754C513fD916D07F66Aa6B81E;
-    address internal constant curvePool = 0xDcb11E81C8B8a1e06BF4b50d4F6f3bb31f7478C3;
+    address public immutable uniRouter;
+    address public immutable uniPool;
+    address public immutable curvePool;
 
-    IERC20 internal constant usdt = IERC20(0xdAC17F958D2ee523a2206206994597C13D831ec7);
-    IERC20 internal constant usdc = IERC20(0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48);
-    IERC20 internal constant dai = IERC20(0x6B175474E89094C44Da98b954EedeAC495271d0F);
-    IERC20 internal constant weth = IERC20(0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2);
+    IERC20 public immutable usdt;
+    IERC20 public immutable usdc;
+    IERC20 public immutable dai;
+    IERC20 public immutable weth;
+
+    IOracle public immutable ethOracle;
+    IOracle public immutable chfOracle;
 
     address public targetStable;
     uint256 public optimal;
@@ -97,19 +100,49 @@ contract FeeContract is Ownable {
     event Sweep(address indexed token, uint256 amount);
     event BuybackMON(uint256 timestamp, uint256 amount);
 
-    constructor() {
-        targetStable = address(usdc);
+    // Tokens, pools and oracles the buyback goes through, which differ per network
+    struct Addresses {
+        address DCHF;
+        address MON;
+        address curveHelper;
+        address curvePool;
+        address uniRouter;
+        address uniPool;
+        address usdt;
+        address usdc;
+        address dai;
+        address weth;
+        address ethOracle;
+        address chfOracle;
+    }
+
+    constructor(Addresses memory _addresses) {
+        DCHF = IERC20(_addresses.DCHF);
+        MON = IERC20(_addresses.MON);
+        curveHelper = ICurveFi(_addresses.curveHelper);
+        curvePool = _addresses.curvePool;
+        uniRouter = _addresses.uniRouter;
+        uniPool = _addresses.uniPool;
+        usdt = IERC20(_addresses.usdt);
+        usdc = IERC20(_addresses.usdc);
+        dai = IERC20(_addresses.dai);
+        weth = IERC20(_addresses.weth);
+        ethOracle = IOracle(_addresses.ethOracle);
+        chfOracle = IOracle(_addresses.chfOracle);
+
+        targetStable = _addresses.usdc;
         optimal = 2; // USDC
         uniStableFee = 500;
         MONFee = 3000;
 
         slippageMax = 9700; // 3% diff from the oracle price
 
-        DCHF.safeApprove(address(curveHelper), 0);
-        DCHF.safeApprove(address(curveHelper), MAX);
+        // Immutables cannot be read in the constructor
+        IERC20(_addresses.DCHF).safeApprove(_addresses.curveHelper, 0);
+        IERC20(_addresses.DCHF).safeApprove(_addresses.curveHelper, MAX);
 
-        usdc.safeApprove(uniRouter, 0);
-        usdc.safeApprove(uniRouter, MAX);
+        IERC20(_addresses.usdc).safeApprove(_addresses.uniRouter, 0);
+        IERC20(_addresses.usdc).safeApprove(_addresses.uniRouter, MAX);
     }
 
     /// @notice BurnContract is just a contract with no functionality
@@ -137,7 +170,6 @@ contract FeeContract is Ownable {
 
     /// @notice Get actual price from UniV3 Pool
     function getCurrentUniV3Price() public view returns (uint256 price) {
-        IOracle ethOracle = IOracle(0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419);
         uint256 ethPrice = ethOracle.latestAnswer(); // 1e8 precision
 
         (uint160 sqrtRatioX96, , , , , , ) = IUniV3(uniPool).slot0();
@@ -147,7 +179,6 @@ contract FeeContract is Ownable {
     }
 
     function _curveSwapToWant(uint256 _optimal) internal {
-        IOracle chfOracle = IOracle(0x449d117117838fFA61263B61dA6301AA2a88B13A);
         uint256 chfPrice = chfOracle.latestAnswer(); // 1e8 precision
 
         uint256 _amountInDCHF = DCHF.balanceOf(address(this));
@@ -168,7 +199,6 @@ contract FeeContract is Ownable {
     function _uniV3SwapToMON(uint256 _optimal) internal {
         address _targetStable = targetStable;
 
-        IOracle ethOracle = IOracle(0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419);
         uint256 ethPrice = ethOracle.latestAnswer(); // 1e8 precision
 
         uint256 targetStableBalance = IERC20(_targetStable).balanceOf(address(this));
@@ -19,7 +19,7 @@ interface IDCHF is IERC20 {
     function burn(address _account, uint256 _amount) external;
 }
 
-contract FlashMinterDCHF is IERC3156FlashLender, Ownable {
+contract FlashMinterDCHF is IERC3156FlashLender, Ownable, CheckContract {
     bytes32 public constant CALLBACK_SUCCESS = keccak256("ERC3156FlashBorrower.onFlashLoan");
 
     uint256 public fee; // in bps -> 1 == 0.01%
@@ -116,7 +116,7 @@ contract FlashMinterDCHF is IERC3156FlashLender, Ownable {
      * @param _validContract whitelisted address able to flashMint from this contract.
      */
     function addValidContract(address _validContract) external onlyOwner {
-        CheckContract(_validContract);
+        checkContract(_validContract);
         require(!validContract[_validContract], "FlashMinter: Already Exists");
         validContract[_validContract] = true;
         validContracts.push(_validContract);
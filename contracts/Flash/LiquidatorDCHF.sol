@@ -48,7 +48,7 @@ interface ICurveSwap {
     function price_oracle() external view returns (uint256);
 }
 
-contract LiquidatorDCHF is IERC3156FlashBorrower, Ownable {
+contract LiquidatorDCHF is IERC3156FlashBorrower, Ownable, CheckContract {
     using SafeERC20 for IERC20;
 
     IERC20 internal constant DCHF = IERC20(0x045da4bFe02B320f4403674B3b7d121737727A36);
@@ -77,10 +77,10 @@ contract LiquidatorDCHF is IERC3156FlashBorrower, Ownable {
     event Sweep(address indexed token, uint256 amount);
 
     constructor(IERC3156FlashLender _lender, address _troveManager) {
-        CheckContract(address(_lender));
+        checkContract(address(_lender));
         lender = _lender;
 
-        CheckContract(_troveManager);
+        checkContract(_troveManager);
         troveManager = ITroveManager(_troveManager);
 
         slippageMax = 9500; // 5% diff from the oracle twap price
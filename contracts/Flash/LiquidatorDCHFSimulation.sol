@@ -0,0 +1,66 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.14;
+
+import "./FlashMinterDCHF.sol";
+import "./LiquidatorDCHF.sol";
+
+/*
+ * Never deployed: its creation code is sent with eth_call, so the constructor runs the liquidations through
+ * LiquidatorDCHF against the current state and returns their results instead of a runtime code.
+ * The liquidations run one after the other, so each one sees the troves and the Curve pools left by the
+ * previous ones. A failed liquidation is reported with its revert data and does not stop the others.
+ */
+contract LiquidatorDCHFSimulation {
+    struct Liquidation {
+        uint256 liqAction; // (0 = SINGLE) (1 = MULTI), as in LiquidatorDCHF
+        address borrower; // Borrower to liquidate, for SINGLE
+        uint256 n; // Number of Troves to liquidate, for MULTI
+        uint256 amount; // DCHF flash minted
+    }
+
+    struct Result {
+        bool success;
+        uint256 profit; // LiquidationProfit, the DCHF left after repaying the flash mint
+        uint256 gasUsed; // Gas of the LiquidatorDCHF call, without the transaction base cost
+        bytes revertData;
+    }
+
+    constructor(
+        LiquidatorDCHF _liquidator,
+        address _asset,
+        Liquidation[] memory _liquidations
+    ) {
+        // LiquidatorDCHF keeps DCHF in a private constant, its lender exposes the same token
+        IERC20 dchf = FlashMinterDCHF(address(_liquidator.lender())).DCHF();
+        Result[] memory results = new Result[](_liquidations.length);
+
+        for (uint256 i = 0; i < _liquidations.length; i++) {
+            Liquidation memory liquidation = _liquidations[i];
+            uint256 balanceBefore = dchf.balanceOf(address(this));
+            uint256 gasBefore = gasleft();
+
+            if (liquidation.liqAction == 0) {
+                try _liquidator.liquidateSingle(_asset, liquidation.borrower, liquidation.amount) {
+                    results[i].success = true;
+                } catch (bytes memory revertData) {
+                    results[i].revertData = revertData;
+                }
+            } else {
+                try _liquidator.liquidateMulti(_asset, liquidation.n, liquidation.amount) {
+                    results[i].success = true;
+                } catch (bytes memory revertData) {
+                    results[i].revertData = revertData;
+                }
+            }
+
+            results[i].gasUsed = gasBefore - gasleft();
+            results[i].profit = dchf.balanceOf(address(this)) - balanceBefore;
+        }
+
+        bytes memory data = abi.encode(results);
+        assembly {
+            return(add(data, 32), mload(data))
+        }
+    }
+}
@@ -108,6 +108,11 @@ contract MockAggregator is AggregatorV3Interface {
 		return (prevRoundId, prevPrice, 0, updateTime, 0);
 	}
 
+	// Legacy Chainlink getter, read by FeeContract
+	function latestAnswer() external view returns (int256) {
+		return price;
+	}
+
 	function description() external pure override returns (string memory) {
 		return "";
 	}
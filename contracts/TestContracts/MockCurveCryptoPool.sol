@@ -0,0 +1,59 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.14;
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+/*
+ * Curve DCHF/3Crv pool stand-in for LiquidatorDCHF on local networks. Exchanges happen at price_oracle, the
+ * price of coin 1 (3Crv) in coin 0 (DCHF), minus a configurable price impact, out of the reserves held by
+ * the pool.
+ */
+contract MockCurveCryptoPool {
+    using SafeERC20 for IERC20;
+
+    address[2] public coins;
+    uint256 public price_oracle;
+    uint256 public priceImpact; // in bps
+
+    constructor(
+        address _coin0,
+        address _coin1,
+        uint256 _priceOracle
+    ) {
+        coins = [_coin0, _coin1];
+        price_oracle = _priceOracle;
+    }
+
+    function setPriceOracle(uint256 _priceOracle) external {
+        price_oracle = _priceOracle;
+    }
+
+    function setPriceImpact(uint256 _priceImpact) external {
+        require(_priceImpact <= 10000, "MockCurveCryptoPool: Invalid price impact");
+        priceImpact = _priceImpact;
+    }
+
+    function get_dy(
+        uint256 i,
+        uint256 j,
+        uint256 dx
+    ) public view returns (uint256) {
+        require(i + j == 1, "MockCurveCryptoPool: Invalid coins");
+
+        uint256 dy = i == 1 ? (dx * price_oracle) / 1 ether : (dx * 1 ether) / price_oracle;
+        return (dy * (10000 - priceImpact)) / 10000;
+    }
+
+    function exchange(
+        uint256 i,
+        uint256 j,
+        uint256 dx,
+        uint256 min_dy
+    ) external payable returns (uint256 dy) {
+        dy = get_dy(i, j, dx);
+        require(dy >= min_dy, "MockCurveCryptoPool: Exchange resulted in fewer coins than expected");
+
+        IERC20(coins[i]).safeTransferFrom(msg.sender, address(this), dx);
+        IERC20(coins[j]).safeTransfer(msg.sender, dy);
+    }
+}
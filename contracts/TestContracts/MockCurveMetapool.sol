@@ -0,0 +1,45 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.14;
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+/*
+ * Curve metapool stand-in for LiquidatorDCHF on local networks. The pool is its own LP token, and removing
+ * liquidity pays out coin 1 (3Crv) at virtualPrice from the reserves held by the pool.
+ */
+contract MockCurveMetapool is ERC20 {
+    using SafeERC20 for IERC20;
+
+    address public immutable crvToken;
+    uint256 public virtualPrice = 1 ether;
+
+    constructor(address _crvToken) ERC20("Mock Curve Metapool", "MOCK3CRV-f") {
+        crvToken = _crvToken;
+    }
+
+    function mint(address _account, uint256 _amount) external {
+        _mint(_account, _amount);
+    }
+
+    function setVirtualPrice(uint256 _virtualPrice) external {
+        virtualPrice = _virtualPrice;
+    }
+
+    function calc_withdraw_one_coin(uint256 _token_amount, int128 i) public view returns (uint256) {
+        require(i == 1, "MockCurveMetapool: Only 3Crv can be withdrawn");
+        return (_token_amount * virtualPrice) / 1 ether;
+    }
+
+    function remove_liquidity_one_coin(
+        uint256 _token_amount,
+        int128 i,
+        uint256 min_amount
+    ) external returns (uint256 received) {
+        received = calc_withdraw_one_coin(_token_amount, i);
+        require(received >= min_amount, "MockCurveMetapool: Not enough coins removed");
+
+        _burn(msg.sender, _token_amount);
+        IERC20(crvToken).safeTransfer(msg.sender, received);
+    }
+}
@@ -0,0 +1,49 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.14;
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+/*
+ * Curve metapool zap stand-in for FeeContract on local networks, with the coins of the DCHF/3Crv zap: DCHF,
+ * DAI, USDC and USDT. It sells DCHF for the stables at a rate per coin, in the decimals of the coin per DCHF,
+ * out of the reserves it holds. The pool argument is ignored.
+ */
+contract MockCurveZap {
+    using SafeERC20 for IERC20;
+
+    address[4] public coins;
+    uint256[4] public rates;
+
+    constructor(address[4] memory _coins) {
+        coins = _coins;
+    }
+
+    function setRate(uint256 j, uint256 _rate) external {
+        require(j > 0 && j < 4, "MockCurveZap: Invalid coin");
+        rates[j] = _rate;
+    }
+
+    function get_dy(
+        address,
+        uint256 i,
+        uint256 j,
+        uint256 dx
+    ) public view returns (uint256) {
+        require(i == 0 && j > 0 && j < 4, "MockCurveZap: Only DCHF can be sold");
+        return (dx * rates[j]) / 1 ether;
+    }
+
+    function exchange(
+        address _pool,
+        uint256 i,
+        uint256 j,
+        uint256 dx,
+        uint256 min_dy
+    ) external returns (uint256 dy) {
+        dy = get_dy(_pool, i, j, dx);
+        require(dy >= min_dy, "MockCurveZap: Exchange resulted in fewer coins than expected");
+
+        IERC20(coins[i]).safeTransferFrom(msg.sender, address(this), dx);
+        IERC20(coins[j]).safeTransfer(msg.sender, dy);
+    }
+}
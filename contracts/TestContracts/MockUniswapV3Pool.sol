@@ -0,0 +1,65 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.7.6;
+
+import "@uniswap/v3-core/contracts/libraries/TickMath.sol";
+
+/*
+ * Uniswap V3 pool stand-in for FeeContract on local networks. slot0 reports the spot tick and observe the
+ * average tick, both settable and constant over time, so the TWAP of any interval is the average tick.
+ */
+contract MockUniswapV3Pool {
+    address public immutable token0;
+    address public immutable token1;
+
+    int24 public tick;
+    int24 public averageTick;
+
+    constructor(
+        address _tokenA,
+        address _tokenB,
+        int24 _tick
+    ) {
+        token0 = _tokenA < _tokenB ? _tokenA : _tokenB;
+        token1 = _tokenA < _tokenB ? _tokenB : _tokenA;
+        tick = _tick;
+        averageTick = _tick;
+    }
+
+    function setTick(int24 _tick) external {
+        tick = _tick;
+        averageTick = _tick;
+    }
+
+    function setAverageTick(int24 _averageTick) external {
+        averageTick = _averageTick;
+    }
+
+    function slot0()
+        external
+        view
+        returns (
+            uint160 sqrtPriceX96,
+            int24,
+            uint16 observationIndex,
+            uint16 observationCardinality,
+            uint16 observationCardinalityNext,
+            uint8 feeProtocol,
+            bool unlocked
+        )
+    {
+        return (TickMath.getSqrtRatioAtTick(tick), tick, 0, 1, 1, 0, true);
+    }
+
+    function observe(uint32[] calldata secondsAgos)
+        external
+        view
+        returns (int56[] memory tickCumulatives, uint160[] memory secondsPerLiquidityCumulativeX128s)
+    {
+        tickCumulatives = new int56[](secondsAgos.length);
+        secondsPerLiquidityCumulativeX128s = new uint160[](secondsAgos.length);
+        for (uint256 i = 0; i < secondsAgos.length; i++) {
+            tickCumulatives[i] = int56(averageTick) * int56(uint56(block.timestamp - secondsAgos[i]));
+        }
+    }
+}
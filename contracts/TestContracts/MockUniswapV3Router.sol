@@ -0,0 +1,45 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.14;
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+/*
+ * Uniswap V3 SwapRouter stand-in for FeeContract on local networks. exactInput swaps the first token of the
+ * path for the last one at a rate per pair, in 1e18 precision and including the decimals of both tokens, out
+ * of the reserves it holds. The hops and fees in between are ignored.
+ */
+contract MockUniswapV3Router {
+    using SafeERC20 for IERC20;
+
+    struct ExactInputParams {
+        bytes path;
+        address recipient;
+        uint256 deadline;
+        uint256 amountIn;
+        uint256 amountOutMinimum;
+    }
+
+    mapping(address => mapping(address => uint256)) public rates;
+
+    function setRate(
+        address _tokenIn,
+        address _tokenOut,
+        uint256 _rate
+    ) external {
+        rates[_tokenIn][_tokenOut] = _rate;
+    }
+
+    function exactInput(ExactInputParams calldata params) external payable returns (uint256 amountOut) {
+        require(block.timestamp <= params.deadline, "Transaction too old");
+
+        address tokenIn = address(bytes20(params.path[:20]));
+        address tokenOut = address(bytes20(params.path[params.path.length - 20:]));
+        require(rates[tokenIn][tokenOut] > 0, "MockUniswapV3Router: No rate for the pair");
+
+        amountOut = (params.amountIn * rates[tokenIn][tokenOut]) / 1 ether;
+        require(amountOut >= params.amountOutMinimum, "Too little received");
+
+        IERC20(tokenIn).safeTransferFrom(msg.sender, address(this), params.amountIn);
+        IERC20(tokenOut).safeTransfer(params.recipient, amountOut);
+    }
+}
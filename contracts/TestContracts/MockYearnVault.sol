@@ -0,0 +1,36 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.14;
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+/*
+ * Yearn vault stand-in for LiquidatorDCHF on local networks. Shares are worth pricePerShare of the
+ * underlying token, which is a Curve metapool LP token.
+ */
+contract MockYearnVault is ERC20 {
+    using SafeERC20 for IERC20;
+
+    address public immutable token;
+    uint256 public pricePerShare = 1 ether;
+
+    constructor(address _token) ERC20("Mock Yearn Vault", "yvMOCK") {
+        token = _token;
+    }
+
+    function setPricePerShare(uint256 _pricePerShare) external {
+        pricePerShare = _pricePerShare;
+    }
+
+    function deposit(uint256 _amount) external returns (uint256 shares) {
+        shares = (_amount * 1 ether) / pricePerShare;
+        IERC20(token).safeTransferFrom(msg.sender, address(this), _amount);
+        _mint(msg.sender, shares);
+    }
+
+    function withdraw(uint256 _maxShares) external returns (uint256 amount) {
+        amount = (_maxShares * pricePerShare) / 1 ether;
+        _burn(msg.sender, _maxShares);
+        IERC20(token).safeTransfer(msg.sender, amount);
+    }
+}
@@ -0,0 +1,13 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.14;
+
+/*
+ * DCHFToken queries a StabilityPoolManager at a hardcoded address on every transfer and burn. Local test
+ * networks put this code at that address, so no account is ever treated as a StabilityPool.
+ */
+contract StabilityPoolManagerMock {
+    function isStabilityPool(address) external pure returns (bool) {
+        return false;
+    }
+}
@@ -0,0 +1,36 @@
+const IsMainnet = false;
+
+// Goerli has no DCHF/3Crv or MON/WETH pool: deployBuybackMocks deploys stand-ins for the tokens, pools and
+// oracles FeeContract swaps through, and sets their entries here
+const externalAddrs = {};
+
+const dfrancAddresses = {};
+
+const REDEMPTION_SAFETY = 14;
+
+const oracleContracts = {};
+
+const collaterals = [];
+
+const DEPLOYMENT_STEPS = ["deployBuybackMocks", "deployCore", "connectCore", "deployMultiTroveGetter"];
+
+const OUTPUT_FILE = "./deployment/output/goerliDeployOutput.json";
+
+const GAS_PRICE = 1000000000;
+const TX_CONFIRMATIONS = 1;
+
+const ETHERSCAN_BASE_URL = "https://goerli.etherscan.io/address";
+
+module.exports = {
+    externalAddrs,
+    dfrancAddresses,
+    OUTPUT_FILE,
+    GAS_PRICE,
+    TX_CONFIRMATIONS,
+    ETHERSCAN_BASE_URL,
+    IsMainnet,
+    REDEMPTION_SAFETY,
+    oracleContracts,
+    collaterals,
+    DEPLOYMENT_STEPS,
+};
@@ -0,0 +1,34 @@
+// Local node without fork (npx hardhat node): no collateral, a fresh DCHF token, and the stand-ins
+// deployBuybackMocks deploys for the tokens, pools and oracles FeeContract swaps through
+const IsMainnet = false;
+
+const externalAddrs = {};
+
+const dfrancAddresses = {};
+
+const REDEMPTION_SAFETY = 14;
+
+const oracleContracts = {};
+
+const collaterals = [];
+
+const DEPLOYMENT_STEPS = ["deployBuybackMocks", "deployCore", "connectCore", "deployMultiTroveGetter"];
+
+const OUTPUT_FILE = "./deployment/output/localDeployOutput.json";
+
+const GAS_PRICE = 1000000000;
+const TX_CONFIRMATIONS = 1;
+
+module.exports = {
+    externalAddrs,
+    dfrancAddresses,
+    OUTPUT_FILE,
+    GAS_PRICE,
+    TX_CONFIRMATIONS,
+    ETHERSCAN_BASE_URL: undefined,
+    IsMainnet,
+    REDEMPTION_SAFETY,
+    oracleContracts,
+    collaterals,
+    DEPLOYMENT_STEPS,
+};
@@ -0,0 +1,20 @@
+// Local node forking mainnet: same collaterals and oracles, but a fresh DCHF token owned by the deployer.
+// FeeContract approves the mainnet stables, so a node without fork needs the local params instead.
+const mainnetParams = require("./deploymentParams.mainnet.js");
+
+const IsMainnet = false;
+
+const {DCHF_TOKEN, ...externalAddrs} = mainnetParams.externalAddrs;
+
+const DEPLOYMENT_STEPS = ["deployCore", "connectCore", "deployMultiTroveGetter", "addCollaterals"];
+
+const OUTPUT_FILE = "./deployment/output/localhostDeployOutput.json";
+
+module.exports = {
+    ...mainnetParams,
+    externalAddrs,
+    OUTPUT_FILE,
+    ETHERSCAN_BASE_URL: undefined,
+    IsMainnet,
+    DEPLOYMENT_STEPS,
+};
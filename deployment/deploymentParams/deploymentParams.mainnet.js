@@ -9,6 +9,25 @@ const externalAddrs = {
 
     WETH_ERC20: "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2",
     WRP_BTC: "0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599",
+
+    DCHF_TOKEN: "0x045da4bFe02B320f4403674B3b7d121737727A36",
+
+    // Curve DCHF/3Crv pool and 3Crv token, where LiquidatorDCHF swaps the liquidated collateral
+    CURVE_POOL_DCHF: "0xDcb11E81C8B8a1e06BF4b50d4F6f3bb31f7478C3",
+    CRV_TOKEN: "0x6c3F90f043a72FA612cbac8115EE7e52BDe6E490",
+
+    GV_FRAX: "0xF437C8cEa5Bb0d8C10Bb9c012fb4a765663942f1",
+    GV_LUSD: "0x6B5020a88669B0320fAB5f2771bc35401b0dA6CC",
+
+    // FeeContract buys back MON with the DCHF fees: DCHF -> stable through the Curve zap of the DCHF/3Crv
+    // pool, then stable -> WETH -> MON on Uniswap V3, with the Chainlink ETH and CHF prices as bounds
+    MON_TOKEN: "0x1EA48B9965bb5086F3b468E50ED93888a661fc17",
+    CURVE_ZAP_DCHF: "0x97aDC08FA1D849D2C48C5dcC1DaB568B169b0267",
+    UNI_V3_ROUTER: "0xE592427A0AEce92De3Edee1F18E0157C05861564",
+    UNI_V3_POOL_MON_WETH: "0x21f396Dd37a26D7754C513fD916D07F66Aa6B81E",
+    DAI_TOKEN: "0x6B175474E89094C44Da98b954EedeAC495271d0F",
+    USDC_TOKEN: "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48",
+    USDT_TOKEN: "0xdAC17F958D2ee523a2206206994597C13D831ec7",
 };
 
 // change for MULTISIG!!
@@ -20,10 +39,41 @@ const dfrancAddresses = {
 
 const REDEMPTION_SAFETY = 14;
 
+// Oracle contracts to deploy, keyed by their name in the output file
+const oracleContracts = {
+    gvFrax3CrvOracle: "GVFrax3CrvOracle",
+    gvLusd3CrvOracle: "GVLUSD3CrvOracle",
+};
+
+const collaterals = [
+    {
+        name: "GVFrax3Crv",
+        asset: externalAddrs.GV_FRAX,
+        oracle: "gvFrax3CrvOracle",
+        chainlinkForex: externalAddrs.CHAINLINK_USDCHF_PROXY,
+        redemptionSafety: REDEMPTION_SAFETY,
+    },
+    {
+        name: "GVLusd3Crv",
+        asset: externalAddrs.GV_LUSD,
+        oracle: "gvLusd3CrvOracle",
+        chainlinkForex: externalAddrs.CHAINLINK_USDCHF_PROXY,
+        redemptionSafety: REDEMPTION_SAFETY,
+    },
+];
+
+const DEPLOYMENT_STEPS = [
+    "deployCore",
+    "connectCore",
+    "deployMultiTroveGetter",
+    "addCollaterals",
+    "giveOwnerships",
+];
+
 // 1 = Deploy Moneta token, 2 = Deploy DCHF Core contracts
 const DEPLOYMENT_PHASE = 2;
 
-const OUTPUT_FILE = "./deployment/output/mainnetDeploymentOutput.json";
+const OUTPUT_FILE = "./deployment/output/mainnetDeployOutput.json";
 
 const delay = (ms) => new Promise((res) => setTimeout(res, ms));
 const waitFunction = async () => {
@@ -46,4 +96,7 @@ module.exports = {
     IsMainnet,
     REDEMPTION_SAFETY,
     DEPLOYMENT_PHASE,
+    oracleContracts,
+    collaterals,
+    DEPLOYMENT_STEPS,
 };
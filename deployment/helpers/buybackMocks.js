@@ -0,0 +1,115 @@
+const {ethers} = require("hardhat");
+
+const AGGREGATOR_DECIMALS = 8;
+
+// Prices of the buyback stand-ins: Chainlink ETH/USD and CHF/USD, and the MON a WETH buys
+const ETH_USD_PRICE = ethers.utils.parseUnits("1500", AGGREGATOR_DECIMALS);
+const CHF_USD_PRICE = ethers.utils.parseUnits("1.08", AGGREGATOR_DECIMALS);
+const MON_PER_WETH = 20000;
+const STABLE_RESERVES = 10000000;
+const MON_RESERVES = ethers.utils.parseEther("1000000000");
+
+/*
+ * Curve and Uniswap V3 stand-ins FeeContract swaps through where the real pools do not exist: a MockCurveZap
+ * selling DCHF for the DAI, USDC and USDT mocks at the CHF price, a MockUniswapV3Router selling them for MON
+ * at the ETH price and MON_PER_WETH, and the WETH/MON MockUniswapV3Pool the TWAP is read from, at the tick of
+ * MON_PER_WETH. Both oracles are MockAggregators. Used by the test fixture and the deployBuybackMocks step.
+ */
+class BuybackMocks {
+    // deploy(name, contractName, params) deploys a contract, name being its key in the returned mocks
+    static async deploy(deploy, dchfTokenAddress) {
+        const monToken = await deploy("monToken", "ERC20Mock", ["Monetalis", "MON", 18]);
+        const weth = await deploy("weth", "ERC20Mock", ["Wrapped Ether", "WETH", 18]);
+        const dai = await deploy("dai", "ERC20Mock", ["Dai Stablecoin", "DAI", 18]);
+        const usdc = await deploy("usdc", "ERC20Mock", ["USD Coin", "USDC", 6]);
+        const usdt = await deploy("usdt", "ERC20Mock", ["Tether USD", "USDT", 6]);
+        const ethUsdAggregator = await deploy("ethUsdAggregator", "MockAggregator");
+        const chfUsdAggregator = await deploy("chfUsdAggregator", "MockAggregator");
+
+        const curveZap = await deploy("curveZap", "MockCurveZap", [
+            [dchfTokenAddress, dai.address, usdc.address, usdt.address],
+        ]);
+        const uniswapRouter = await deploy("uniswapRouter", "MockUniswapV3Router");
+        // 1.0001^tick is the price of token0 in token1
+        const wethIsToken0 = weth.address.toLowerCase() < monToken.address.toLowerCase();
+        const tick = Math.round(Math.log(MON_PER_WETH) / Math.log(1.0001));
+        const uniswapPool = await deploy("uniswapPool", "MockUniswapV3Pool", [
+            weth.address,
+            monToken.address,
+            wethIsToken0 ? tick : -tick,
+        ]);
+
+        return {
+            monToken,
+            weth,
+            dai,
+            usdc,
+            usdt,
+            ethUsdAggregator,
+            chfUsdAggregator,
+            curveZap,
+            uniswapRouter,
+            uniswapPool,
+        };
+    }
+
+    // Sets the prices and rates and funds the reserves, skipping what is already set. send awaits a tx.
+    static async configure(mocks, send = (txPromise) => txPromise) {
+        const {monToken, dai, usdc, usdt, ethUsdAggregator, chfUsdAggregator, curveZap, uniswapRouter} =
+            mocks;
+
+        if (!(await ethUsdAggregator.latestAnswer()).eq(ETH_USD_PRICE)) {
+            await send(ethUsdAggregator.setPrice(ETH_USD_PRICE));
+        }
+        if (!(await chfUsdAggregator.latestAnswer()).eq(CHF_USD_PRICE)) {
+            await send(chfUsdAggregator.setPrice(CHF_USD_PRICE));
+        }
+
+        // Curve and Uniswap index the stables 1 (DAI), 2 (USDC) and 3 (USDT), like FeeContract.optimal
+        for (const [j, stable] of [dai, usdc, usdt].entries()) {
+            const decimals = await stable.decimals();
+            const curveRate = CHF_USD_PRICE.mul(ethers.utils.parseUnits("1", decimals)).div(1e8);
+            if (!(await curveZap.rates(j + 1)).eq(curveRate)) {
+                await send(curveZap.setRate(j + 1, curveRate));
+            }
+
+            // MON per stable unit, in 1e18 precision
+            const uniswapRate = ethers.utils
+                .parseUnits(`${MON_PER_WETH}`, 36 - decimals)
+                .mul(1e8)
+                .div(ETH_USD_PRICE);
+            if (!(await uniswapRouter.rates(stable.address, monToken.address)).eq(uniswapRate)) {
+                await send(uniswapRouter.setRate(stable.address, monToken.address, uniswapRate));
+            }
+
+            if ((await stable.balanceOf(curveZap.address)).isZero()) {
+                await send(
+                    stable.mint(curveZap.address, ethers.utils.parseUnits(`${STABLE_RESERVES}`, decimals))
+                );
+            }
+        }
+        if ((await monToken.balanceOf(uniswapRouter.address)).isZero()) {
+            await send(monToken.mint(uniswapRouter.address, MON_RESERVES));
+        }
+    }
+
+    // The externalAddrs entries the mocks stand in for. The zap ignores its pool argument, so it stands in
+    // for the DCHF/3Crv pool too.
+    static getExternalAddrs(mocks) {
+        return {
+            MON_TOKEN: mocks.monToken.address,
+            CURVE_ZAP_DCHF: mocks.curveZap.address,
+            CURVE_POOL_DCHF: mocks.curveZap.address,
+            UNI_V3_ROUTER: mocks.uniswapRouter.address,
+            UNI_V3_POOL_MON_WETH: mocks.uniswapPool.address,
+            DAI_TOKEN: mocks.dai.address,
+            USDC_TOKEN: mocks.usdc.address,
+            USDT_TOKEN: mocks.usdt.address,
+            WETH_ERC20: mocks.weth.address,
+            CHAINLINK_ETHUSD_PROXY: mocks.ethUsdAggregator.address,
+            CHAINLINK_USDCHF_PROXY: mocks.chfUsdAggregator.address,
+        };
+    }
+}
+
+module.exports = BuybackMocks;
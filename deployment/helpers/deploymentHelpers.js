@@ -2,6 +2,8 @@ const {ParamType} = require("ethers/lib/utils");
 const fs = require("fs");
 const {ethers, run, network} = require("hardhat");
 
+const BuybackMocks = require("./buybackMocks.js");
+
 const ZERO_ADDRESS = "0x" + "0".repeat(40);
 const maxBytes32 = "0x" + "f".repeat(64);
 
@@ -22,6 +24,15 @@ class DeploymentHelper {
         return previousDeployment;
     }
 
+    // Moves the previous output aside so the next run starts from scratch
+    archivePreviousDeployment() {
+        if (!fs.existsSync(this.configParams.OUTPUT_FILE)) return;
+
+        const archiveFile = this.configParams.OUTPUT_FILE.replace(/\.json$/, `.${Date.now()}.json`);
+        fs.renameSync(this.configParams.OUTPUT_FILE, archiveFile);
+        console.log(`Previous deployment moved to ${archiveFile}`);
+    }
+
     saveDeployment(deploymentState) {
         const deploymentStateJSON = JSON.stringify(deploymentState, null, 2);
         fs.writeFileSync(this.configParams.OUTPUT_FILE, deploymentStateJSON);
@@ -50,13 +61,27 @@ class DeploymentHelper {
             console.log(
                 `Using previously deployed ${name} contract at address ${deploymentState[name].address}`
             );
+            if ((await ethers.provider.getCode(deploymentState[name].address)) == "0x") {
+                throw `No code for ${name} at ${deploymentState[name].address}, is the output file from another network?`;
+            }
             return await factory.attach(deploymentState[name].address);
         }
 
+        if (deploymentState[name] && deploymentState[name].pendingTxHash) {
+            const pendingContract = await this.loadPendingDeployment(factory, name, deploymentState);
+            if (pendingContract) return pendingContract;
+        }
+
         const contract = proxy
             ? await upgrades.deployProxy(factory)
             : await factory.deploy(...params, {gasPrice: this.configParams.GAS_PRICE});
 
+        // Record the transaction before waiting for it, so an interrupted run does not pay for it twice
+        deploymentState[name] = {
+            pendingTxHash: contract.deployTransaction.hash,
+        };
+        this.saveDeployment(deploymentState);
+
         await this.deployerWallet.provider.waitForTransaction(
             contract.deployTransaction.hash,
             this.configParams.TX_CONFIRMATIONS
@@ -72,6 +97,31 @@ class DeploymentHelper {
         return contract;
     }
 
+    // Picks up a deployment sent by an interrupted run. Returns nothing if it has to be sent again.
+    async loadPendingDeployment(factory, name, deploymentState) {
+        const txHash = deploymentState[name].pendingTxHash;
+
+        if (!(await ethers.provider.getTransaction(txHash))) {
+            console.log(`Deployment of ${name} (${txHash}) was dropped, deploying again`);
+            return;
+        }
+
+        console.log(`Waiting for pending deployment of ${name} (${txHash})`);
+        const receipt = await ethers.provider.waitForTransaction(txHash, this.configParams.TX_CONFIRMATIONS);
+        if (!receipt.status) {
+            console.log(`Deployment of ${name} (${txHash}) failed, deploying again`);
+            return;
+        }
+
+        deploymentState[name] = {
+            address: receipt.contractAddress,
+            txHash,
+        };
+        this.saveDeployment(deploymentState);
+
+        return await factory.attach(receipt.contractAddress);
+    }
+
     async deployMockERC20Contract(deploymentState, name, decimals = 18) {
         const ERC20MockFactory = await this.getFactory("ERC20Mock");
         const erc20Mock = await this.loadOrDeploy(ERC20MockFactory, name, deploymentState, false, [
@@ -144,6 +194,9 @@ class DeploymentHelper {
         const DCHFTokenFactory = await this.getFactory("DCHFToken");
         const vaultParametersFactory = await this.getFactory("DfrancParameters");
         const adminContractFactory = await this.getFactory("AdminContract");
+        const feeContractFactory = await this.getFactory("FeeContract");
+        const burnContractFactory = await this.getFactory("BurnContract");
+        const externalAddrs = this.configParams.externalAddrs;
 
         const sortedTroves = await this.loadOrDeploy(sortedTrovesFactory, "sortedTroves", deploymentState);
         const troveManager = await this.loadOrDeploy(troveManagerFactory, "troveManager", deploymentState);
@@ -166,14 +219,38 @@ class DeploymentHelper {
         );
         const priceFeed = await this.loadOrDeploy(priceFeedFactory, "priceFeed", deploymentState);
         const adminContract = await this.loadOrDeploy(adminContractFactory, "adminContract", deploymentState);
-        const dchfToken = await this.loadOrDeploy(DCHFTokenFactory, "DCHFToken", deploymentState);
+
+        // Networks with a live DCHF token or fee receiver reuse it instead of deploying a new one
+        const dchfToken = externalAddrs.DCHF_TOKEN
+            ? await DCHFTokenFactory.attach(externalAddrs.DCHF_TOKEN)
+            : await this.loadOrDeploy(DCHFTokenFactory, "DCHFToken", deploymentState);
+        const feeContractAddresses = externalAddrs.FEE_CONTRACT
+            ? undefined
+            : this.getFeeContractAddresses(dchfToken.address);
+        const feeContract = externalAddrs.FEE_CONTRACT
+            ? await feeContractFactory.attach(externalAddrs.FEE_CONTRACT)
+            : await this.loadOrDeploy(feeContractFactory, "feeContract", deploymentState, false, [
+                  feeContractAddresses,
+              ]);
+        // The MON bought back by a fee contract of ours is sent to its own BurnContract
+        const burnContract = externalAddrs.FEE_CONTRACT
+            ? undefined
+            : await this.loadOrDeploy(burnContractFactory, "burnContract", deploymentState, false, [
+                  feeContractAddresses.MON,
+              ]);
 
         // Add borrower operations and trove manager to dchf
-        if (!(await dchfToken.validTroveManagers(troveManager.address))) {
-            await this.sendAndWaitForTransaction(dchfToken.addTroveManager(troveManager.address));
-        }
-        if (!(await dchfToken.validBorrowerOps(borrowerOperations.address))) {
-            await this.sendAndWaitForTransaction(dchfToken.addBorrowerOps(borrowerOperations.address));
+        if ((await dchfToken.owner()) != this.deployerWallet.address) {
+            console.log(
+                "DCHFToken is not owned by the deployer, its owner must add TroveManager and BorrowerOperations"
+            );
+        } else {
+            if (!(await dchfToken.validTroveManagers(troveManager.address))) {
+                await this.sendAndWaitForTransaction(dchfToken.addTroveManager(troveManager.address));
+            }
+            if (!(await dchfToken.validBorrowerOps(borrowerOperations.address))) {
+                await this.sendAndWaitForTransaction(dchfToken.addBorrowerOps(borrowerOperations.address));
+            }
         }
 
         if (!this.configParams.ETHERSCAN_BASE_URL) {
@@ -186,9 +263,15 @@ class DeploymentHelper {
             await this.verifyContract("collSurplusPool", deploymentState, [], false);
             await this.verifyContract("borrowerOperations", deploymentState, [], false);
             await this.verifyContract("hintHelpers", deploymentState, [], false);
-            await this.verifyContract("dchfToken", deploymentState, [], false);
             await this.verifyContract("dfrancParameters", deploymentState, [], false);
             await this.verifyContract("adminContract", deploymentState, [], false);
+            if (!externalAddrs.DCHF_TOKEN) {
+                await this.verifyContract("DCHFToken", deploymentState, [], false);
+            }
+            if (!externalAddrs.FEE_CONTRACT) {
+                await this.verifyContract("feeContract", deploymentState, [feeContractAddresses], false);
+                await this.verifyContract("burnContract", deploymentState, [feeContractAddresses.MON], false);
+            }
         }
 
         const coreContracts = {
@@ -202,11 +285,90 @@ class DeploymentHelper {
             borrowerOperations,
             hintHelpers,
             dfrancParameters,
+            feeContract,
         };
+        if (burnContract) coreContracts.burnContract = burnContract;
 
         return coreContracts;
     }
 
+    // FeeContract.Addresses from the network params, the tokens, pools and oracles of the buyback
+    getFeeContractAddresses(dchfTokenAddress) {
+        const externalAddrs = this.configParams.externalAddrs;
+        const keys = {
+            MON: "MON_TOKEN",
+            curveHelper: "CURVE_ZAP_DCHF",
+            curvePool: "CURVE_POOL_DCHF",
+            uniRouter: "UNI_V3_ROUTER",
+            uniPool: "UNI_V3_POOL_MON_WETH",
+            usdt: "USDT_TOKEN",
+            usdc: "USDC_TOKEN",
+            dai: "DAI_TOKEN",
+            weth: "WETH_ERC20",
+            ethOracle: "CHAINLINK_ETHUSD_PROXY",
+            chfOracle: "CHAINLINK_USDCHF_PROXY",
+        };
+
+        const addresses = {DCHF: dchfTokenAddress};
+        for (const [name, key] of Object.entries(keys)) {
+            if (!externalAddrs[key]) throw `FeeContract needs ${key} in the network params`;
+            addresses[name] = externalAddrs[key];
+        }
+        return addresses;
+    }
+
+    /*
+     * Deploys the BuybackMocks stand-ins against the DCHF token of the deployment, deploying the token first,
+     * and points the FeeContract entries of externalAddrs to them. For networks without the DCHF/3Crv and
+     * MON/WETH pools.
+     */
+    async deployBuybackMocks(deploymentState) {
+        const externalAddrs = this.configParams.externalAddrs;
+        if (externalAddrs.DCHF_TOKEN || externalAddrs.FEE_CONTRACT) {
+            throw "deployBuybackMocks deploys DCHFToken and FeeContract, remove DCHF_TOKEN and FEE_CONTRACT";
+        }
+
+        const dchfToken = await this.loadOrDeploy(
+            await this.getFactory("DCHFToken"),
+            "DCHFToken",
+            deploymentState
+        );
+        // Output as buybackMonToken, buybackCurveZap...
+        const mocks = await BuybackMocks.deploy(async (name, contractName, params) => {
+            const outputName = `buyback${name[0].toUpperCase()}${name.slice(1)}`;
+            return await this.loadOrDeploy(
+                await this.getFactory(contractName),
+                outputName,
+                deploymentState,
+                false,
+                params
+            );
+        }, dchfToken.address);
+        await BuybackMocks.configure(mocks, (txPromise) => this.sendAndWaitForTransaction(txPromise));
+
+        Object.assign(externalAddrs, BuybackMocks.getExternalAddrs(mocks));
+        return mocks;
+    }
+
+    // Deploys the collateral oracles declared in the network params, keyed by their output name
+    async deployCollateralOracles(deploymentState) {
+        const oracles = {};
+        for (const [name, contractName] of Object.entries(this.configParams.oracleContracts || {})) {
+            const oracleFactory = await this.getFactory(contractName);
+            oracles[name] = await this.loadOrDeploy(oracleFactory, name, deploymentState);
+        }
+
+        if (!this.configParams.ETHERSCAN_BASE_URL) {
+            console.log("No Etherscan Url defined, skipping verification");
+        } else {
+            for (const name of Object.keys(oracles)) {
+                await this.verifyContract(name, deploymentState, [], false);
+            }
+        }
+
+        return oracles;
+    }
+
     async deployMultiTroveGetterMainnet(dchfCore, deploymentState) {
         const multiTroveGetterFactory = await this.getFactory("MultiTroveGetter");
         const multiTroveGetterParams = [dchfCore.troveManager.address, dchfCore.sortedTroves.address];
@@ -269,7 +431,7 @@ class DeploymentHelper {
                     contracts.collSurplusPool.address,
                     contracts.dchfToken.address,
                     contracts.sortedTroves.address,
-                    "0xD3C2cBF18101DC0230a784F3f928d1842fC1bBFF",
+                    contracts.feeContract.address,
                     contracts.dfrancParameters.address,
                     contracts.borrowerOperations.address,
                     {gasPrice}
@@ -284,7 +446,7 @@ class DeploymentHelper {
                     contracts.sortedTroves.address,
                     contracts.dchfToken.address,
                     contracts.dfrancParameters.address,
-                    "0xD3C2cBF18101DC0230a784F3f928d1842fC1bBFF",
+                    contracts.feeContract.address,
                     {gasPrice}
                 )
             ));
@@ -331,6 +493,78 @@ class DeploymentHelper {
                     {gasPrice}
                 )
             ));
+
+        // A system wired to another fee receiver, e.g. one the params attached before, is repointed to ours
+        for (const contract of [contracts.troveManager, contracts.borrowerOperations]) {
+            if ((await contract.feeContractAddress()) != contracts.feeContract.address) {
+                await this.sendAndWaitForTransaction(
+                    contract.setFeeContractAddress(contracts.feeContract.address, {gasPrice})
+                );
+            }
+        }
+
+        // FeeContract has no initializer, its burn contract is compared instead
+        if (
+            contracts.burnContract &&
+            (await contracts.feeContract.burnContract()) != contracts.burnContract.address
+        ) {
+            await this.sendAndWaitForTransaction(
+                contracts.feeContract.setBurnContractAddress(contracts.burnContract.address, {gasPrice})
+            );
+        }
+    }
+
+    async addCollaterals(contracts) {
+        const gasPrice = this.configParams.GAS_PRICE;
+
+        for (const collateral of this.configParams.collaterals) {
+            // Adding a collateral twice would reset its parameters to the defaults
+            if ((await contracts.priceFeed.registeredOracles(collateral.asset)).isRegistered) {
+                console.log(`${collateral.name} is already a collateral`);
+                continue;
+            }
+
+            console.log(`Adding ${collateral.name} as new collateral`);
+            await this.sendAndWaitForTransaction(
+                contracts.adminContract.addNewCollateral(
+                    collateral.asset,
+                    contracts[collateral.oracle].address,
+                    collateral.chainlinkForex,
+                    collateral.redemptionSafety,
+                    {gasPrice}
+                )
+            );
+        }
+    }
+
+    // SortedTroves & ActivePool & CollSurplus have renounceOwnership and Oracles are not ownable
+    async giveContractsOwnerships(contracts, newOwner) {
+        await this.transferOwnership(contracts.adminContract, newOwner);
+        await this.transferOwnership(contracts.priceFeed, newOwner);
+        await this.transferOwnership(contracts.dfrancParameters, newOwner);
+        await this.transferOwnership(contracts.troveManager, newOwner);
+        await this.transferOwnership(contracts.borrowerOperations, newOwner);
+        await this.transferOwnership(contracts.hintHelpers, newOwner);
+        await this.transferOwnership(contracts.feeContract, newOwner);
+    }
+
+    async transferOwnership(contract, newOwner) {
+        if (!newOwner) throw "Transferring ownership to null address";
+
+        const owner = await contract.owner();
+        if (owner == newOwner) {
+            console.log(`Ownership of ${contract.address} already transferred`);
+            return;
+        }
+        if (owner != this.deployerWallet.address) {
+            console.log(`Skipping ${contract.address}, owned by ${owner}`);
+            return;
+        }
+
+        await this.sendAndWaitForTransaction(
+            contract.transferOwnership(newOwner, {gasPrice: this.configParams.GAS_PRICE})
+        );
+        console.log(`Transferred ownership of ${contract.address} to ${newOwner}`);
     }
 
     // --- Verify on Etherscan ---
@@ -0,0 +1,27 @@
+const fs = require("fs");
+const path = require("path");
+
+/*
+ * Reads the deployment a task runs against: the params of --params or of the selected network, and the
+ * deployment output of --output or of their OUTPUT_FILE. addressOf(name) is the address of a contract of
+ * the output, and fails when it is missing.
+ */
+function loadDeployment(taskArgs, hre) {
+    const paramsNetwork = taskArgs.params || hre.network.name;
+    const paramsFile = path.join(__dirname, `../deploymentParams/deploymentParams.${paramsNetwork}.js`);
+    if (!fs.existsSync(paramsFile)) throw `No deployment params for network ${paramsNetwork}`;
+
+    const configParams = require(paramsFile);
+    const outputFile = path.resolve(taskArgs.output || configParams.OUTPUT_FILE);
+    if (!fs.existsSync(outputFile)) throw `No deployment output at ${outputFile}`;
+
+    const deploymentState = JSON.parse(fs.readFileSync(outputFile));
+    const addressOf = (name) => {
+        if (!deploymentState[name]) throw `${name} is missing from the deployment output`;
+        return deploymentState[name].address;
+    };
+
+    return {paramsNetwork, configParams, outputFile, deploymentState, addressOf};
+}
+
+module.exports = {loadDeployment};
@@ -0,0 +1,101 @@
+const DeploymentHelper = require("./deploymentHelpers.js");
+
+// Steps that only reattach their contracts when re-run. They are never skipped since later steps use them.
+const LOADING_STEPS = ["deployBuybackMocks", "deployCore", "deployMultiTroveGetter"];
+
+// Runs the DEPLOYMENT_STEPS declared in the network params, in order. Each step is a method of this class.
+// Completed steps are recorded under `pipeline` in the output file, so a failed run resumes at the failed step.
+class DeploymentPipeline {
+    constructor(configParams, deployerWallet) {
+        this.configParams = configParams;
+        this.helper = new DeploymentHelper(configParams, deployerWallet);
+        this.deploymentState = {};
+        this.contracts = {};
+    }
+
+    async run(fresh = false) {
+        const steps = this.configParams.DEPLOYMENT_STEPS;
+        for (const step of steps) {
+            if (typeof this[step] !== "function" || step == "run") throw `Unknown deployment step ${step}`;
+        }
+
+        if (fresh) this.helper.archivePreviousDeployment();
+        this.deploymentState = this.helper.loadPreviousDeployment();
+
+        const {chainId} = await this.helper.deployerWallet.provider.getNetwork();
+        if (!this.deploymentState.pipeline) {
+            this.deploymentState.pipeline = {chainId, completedSteps: []};
+        }
+        const progress = this.deploymentState.pipeline;
+        if (progress.chainId != chainId) {
+            throw `${this.configParams.OUTPUT_FILE} was deployed on chain ${progress.chainId}, not ${chainId}. Use --fresh to start over`;
+        }
+
+        for (const step of steps) {
+            const completed = progress.completedSteps.includes(step);
+            if (completed && !LOADING_STEPS.includes(step)) {
+                console.log(`\n--- ${step} (completed, skipping) ---`);
+                continue;
+            }
+
+            console.log(`\n--- ${step} ---`);
+            await this[step]();
+
+            if (!completed) {
+                progress.completedSteps.push(step);
+                this.helper.saveDeployment(this.deploymentState);
+            }
+        }
+
+        await this.helper.logContractObjects(this.contracts);
+    }
+
+    // --- Steps ---
+
+    // Before deployCore, which deploys the FeeContract on the stand-ins
+    async deployBuybackMocks() {
+        if (this.contracts.troveManager) throw "Step deployBuybackMocks must run before deployCore";
+        await this.helper.deployBuybackMocks(this.deploymentState);
+    }
+
+    async deployCore() {
+        const coreContracts = await this.helper.deployDchfCoreMainnet(this.deploymentState);
+        const oracles = await this.helper.deployCollateralOracles(this.deploymentState);
+
+        this.contracts = {...coreContracts, ...oracles};
+    }
+
+    async connectCore() {
+        this.requireCore("connectCore");
+        await this.helper.connectCoreContractsMainnet(this.contracts);
+    }
+
+    async deployMultiTroveGetter() {
+        this.requireCore("deployMultiTroveGetter");
+        this.contracts.multiTroveGetter = await this.helper.deployMultiTroveGetterMainnet(
+            this.contracts,
+            this.deploymentState
+        );
+    }
+
+    async addCollaterals() {
+        this.requireCore("addCollaterals");
+        await this.helper.addCollaterals(this.contracts);
+    }
+
+    async giveOwnerships() {
+        this.requireCore("giveOwnerships");
+        await this.helper.giveContractsOwnerships(
+            this.contracts,
+            this.configParams.dfrancAddresses.ADMIN_MULTI
+        );
+    }
+
+    // --- Helpers ---
+
+    requireCore(step) {
+        if (!this.contracts.troveManager) throw `Step ${step} needs deployCore to run before it`;
+    }
+}
+
+module.exports = DeploymentPipeline;
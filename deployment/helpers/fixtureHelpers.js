@@ -0,0 +1,318 @@
+const {ethers, network} = require("hardhat");
+
+const BuybackMocks = require("./buybackMocks.js");
+const {externalAddrs} = require("../deploymentParams/deploymentParams.mainnet.js");
+
+const ZERO_ADDRESS = ethers.constants.AddressZero;
+
+// Answer of the MockAggregator registered as oracle and forex feed of every collateral
+const AGGREGATOR_DECIMALS = 8;
+const AGGREGATOR_PRICE = ethers.utils.parseUnits("1", AGGREGATOR_DECIMALS);
+
+// Collateral minted to each of the first signers
+const INITIAL_COLLATERAL_BALANCE = ethers.utils.parseEther("1000000");
+const FUNDED_SIGNERS = 10;
+
+// The Curve stand-ins value a vault share at the PriceFeedTestnet default price, 200 DCHF
+const CRV_PRICE_IN_DCHF = ethers.utils.parseEther("200");
+const METAPOOL_CRV_RESERVES = ethers.utils.parseEther("10000000");
+// DCHF borrowed by the deployer against ETH to fund the DCHF/3Crv stand-in
+const DCHF_POOL_RESERVES = ethers.utils.parseEther("100000");
+const DCHF_POOL_FUNDING_COLL = ethers.utils.parseEther("1500");
+
+// Storage slots copied when a contract is moved to the address another one hardcodes, enough for the
+// variables its constructor sets
+const MOVED_STORAGE_SLOTS = 16;
+
+let fixtureSnapshot;
+
+/*
+ * Deploys the whole system on the in-process Hardhat network, with PriceFeedTestnet as price feed and
+ * ETH, ERC20Test and ERC20Mock collaterals, and returns the contracts object used by TestHelper.
+ */
+class FixtureHelper {
+    static async deployDfrancFixture() {
+        const deploy = this.deployContract;
+
+        const contracts = {
+            priceFeedTestnet: await deploy("PriceFeedTestnet"),
+            sortedTroves: await deploy("SortedTroves"),
+            troveManager: await deploy("TroveManager"),
+            activePool: await deploy("ActivePool"),
+            collSurplusPool: await deploy("CollSurplusPool"),
+            borrowerOperations: await deploy("BorrowerOperations"),
+            hintHelpers: await deploy("HintHelpers"),
+            dfrancParameters: await deploy("DfrancParameters"),
+            adminContract: await deploy("AdminContract"),
+            // At the mainnet address FlashMinterDCHF and LiquidatorDCHF hardcode
+            dchfToken: await this.deployContractAt(externalAddrs.DCHF_TOKEN, "DCHFToken"),
+            // Stands in for the FeeContract, which needs the mainnet Curve and Uniswap contracts
+            feeContract: await deploy("NonPayable"),
+            mockAggregator: await deploy("MockAggregator"),
+            erc20: await deploy("ERC20Test"),
+            erc20Mock: await deploy("ERC20Mock", ["Mock Collateral", "MCK", 18]),
+        };
+        contracts.multiTroveGetter = await deploy("MultiTroveGetter", [
+            contracts.troveManager.address,
+            contracts.sortedTroves.address,
+        ]);
+
+        await this.mockStabilityPoolManager(contracts.dchfToken);
+        await this.connectContracts(contracts);
+
+        await contracts.mockAggregator.setDecimals(AGGREGATOR_DECIMALS);
+        await contracts.mockAggregator.setPrice(AGGREGATOR_PRICE);
+        await contracts.mockAggregator.setUpdateTime((await ethers.provider.getBlock("latest")).timestamp);
+
+        for (const asset of [ZERO_ADDRESS, contracts.erc20.address, contracts.erc20Mock.address]) {
+            // No redemption block, so tests can redeem right away
+            await contracts.adminContract.addNewCollateral(
+                asset,
+                contracts.mockAggregator.address,
+                contracts.mockAggregator.address,
+                0
+            );
+        }
+
+        const signers = (await ethers.getSigners()).slice(0, FUNDED_SIGNERS);
+        for (const signer of signers) {
+            await contracts.erc20.mint(signer.address, INITIAL_COLLATERAL_BALANCE);
+            await contracts.erc20Mock.mint(signer.address, INITIAL_COLLATERAL_BALANCE);
+        }
+
+        return contracts;
+    }
+
+    /*
+     * Adds LiquidatorDCHF and FlashMinterDCHF to a fixture, with Yearn and Curve stand-ins: a MockYearnVault
+     * collateral over a MockCurveMetapool LP token, and a MockCurveCryptoPool to swap the 3Crv back to DCHF.
+     * The 3Crv and DCHF pool stand-ins sit at the mainnet addresses LiquidatorDCHF hardcodes. The signers get
+     * vault shares, and the deployer funds the DCHF pool from an ETH trove.
+     */
+    static async deployLiquidatorFixture(contracts) {
+        const deploy = this.deployContract;
+
+        const crvToken = await this.deployContractAt(externalAddrs.CRV_TOKEN, "ERC20Mock", [
+            "Curve.fi DAI/USDC/USDT",
+            "3Crv",
+            18,
+        ]);
+        const curveMetapool = await deploy("MockCurveMetapool", [crvToken.address]);
+        const yearnVault = await deploy("MockYearnVault", [curveMetapool.address]);
+        const curvePoolDCHF = await this.deployContractAt(
+            externalAddrs.CURVE_POOL_DCHF,
+            "MockCurveCryptoPool",
+            [contracts.dchfToken.address, crvToken.address, CRV_PRICE_IN_DCHF]
+        );
+        const flashMinterDCHF = await deploy("FlashMinterDCHF");
+        const liquidatorDCHF = await deploy("LiquidatorDCHF", [
+            flashMinterDCHF.address,
+            contracts.troveManager.address,
+        ]);
+
+        // Lets the flash minter mint and burn DCHF
+        await contracts.dchfToken.addBorrowerOps(flashMinterDCHF.address);
+        await contracts.adminContract.addNewCollateral(
+            yearnVault.address,
+            contracts.mockAggregator.address,
+            contracts.mockAggregator.address,
+            0
+        );
+
+        await crvToken.mint(curveMetapool.address, METAPOOL_CRV_RESERVES);
+        await contracts.borrowerOperations.openTrove(
+            ZERO_ADDRESS,
+            DCHF_POOL_FUNDING_COLL,
+            ethers.utils.parseEther("1"),
+            DCHF_POOL_RESERVES,
+            ZERO_ADDRESS,
+            ZERO_ADDRESS,
+            {value: DCHF_POOL_FUNDING_COLL}
+        );
+        await contracts.dchfToken.transfer(curvePoolDCHF.address, DCHF_POOL_RESERVES);
+
+        const signers = (await ethers.getSigners()).slice(0, FUNDED_SIGNERS);
+        for (const signer of signers) {
+            await curveMetapool.mint(signer.address, INITIAL_COLLATERAL_BALANCE);
+            await curveMetapool.connect(signer).approve(yearnVault.address, INITIAL_COLLATERAL_BALANCE);
+            await yearnVault.connect(signer).deposit(INITIAL_COLLATERAL_BALANCE);
+        }
+
+        return Object.assign(contracts, {
+            crvToken,
+            curveMetapool,
+            yearnVault,
+            curvePoolDCHF,
+            flashMinterDCHF,
+            liquidatorDCHF,
+        });
+    }
+
+    // Replaces the fee receiver of a fixture with a FeeContract and its BurnContract, on BuybackMocks
+    static async deployBuybackFixture(contracts) {
+        const deploy = this.deployContract;
+
+        const mocks = await BuybackMocks.deploy(
+            (name, contractName, params) => deploy(contractName, params),
+            contracts.dchfToken.address
+        );
+        const {monToken, weth, dai, usdc, usdt, ethUsdAggregator, chfUsdAggregator} = mocks;
+        const {curveZap, uniswapRouter, uniswapPool} = mocks;
+
+        // The zap stands in for the DCHF/3Crv pool too, it ignores the pool argument
+        const feeContract = await deploy("FeeContract", [
+            {
+                DCHF: contracts.dchfToken.address,
+                MON: monToken.address,
+                curveHelper: curveZap.address,
+                curvePool: curveZap.address,
+                uniRouter: uniswapRouter.address,
+                uniPool: uniswapPool.address,
+                usdt: usdt.address,
+                usdc: usdc.address,
+                dai: dai.address,
+                weth: weth.address,
+                ethOracle: ethUsdAggregator.address,
+                chfOracle: chfUsdAggregator.address,
+            },
+        ]);
+        const burnContract = await deploy("BurnContract", [monToken.address]);
+        await feeContract.setBurnContractAddress(burnContract.address);
+
+        await BuybackMocks.configure(mocks);
+
+        await contracts.troveManager.setFeeContractAddress(feeContract.address);
+        await contracts.borrowerOperations.setFeeContractAddress(feeContract.address);
+
+        return Object.assign(contracts, {feeContract, burnContract, ...mocks});
+    }
+
+    // Deploys the system once, then reverts to the state right after that deployment on every later call
+    static async loadDfrancFixture() {
+        if (fixtureSnapshot) {
+            await network.provider.send("evm_revert", [fixtureSnapshot.id]);
+        } else {
+            fixtureSnapshot = {contracts: await this.deployDfrancFixture()};
+        }
+
+        // A snapshot can only be reverted to once
+        fixtureSnapshot.id = await network.provider.send("evm_snapshot");
+
+        return fixtureSnapshot.contracts;
+    }
+
+    static async deployContract(name, params = []) {
+        const [deployer] = await ethers.getSigners();
+        const factory = await ethers.getContractFactory(name, deployer);
+        const contract = await factory.deploy(...params);
+        await contract.deployed();
+        return contract;
+    }
+
+    /*
+     * Deploys the contract and moves its code and the fixed storage slots its constructor set to the address,
+     * like mockStabilityPoolManager does. Values derived from the deployment address, such as the
+     * DOMAIN_SEPARATOR of DCHFToken, still name the address it was deployed at.
+     */
+    static async deployContractAt(address, name, params = []) {
+        const contract = await FixtureHelper.deployContract(name, params);
+
+        await network.provider.send("hardhat_setCode", [
+            address,
+            await ethers.provider.getCode(contract.address),
+        ]);
+        for (let slot = 0; slot < MOVED_STORAGE_SLOTS; slot++) {
+            const value = await ethers.provider.getStorageAt(contract.address, slot);
+            if (ethers.BigNumber.from(value).isZero()) continue;
+            await network.provider.send("hardhat_setStorageAt", [
+                address,
+                ethers.utils.hexValue(slot),
+                value,
+            ]);
+        }
+
+        return contract.attach(address);
+    }
+
+    static async takeSnapshot() {
+        return await network.provider.send("evm_snapshot");
+    }
+
+    static async revertToSnapshot(snapshotId) {
+        await network.provider.send("evm_revert", [snapshotId]);
+    }
+
+    static async mockStabilityPoolManager(dchfToken) {
+        const mock = await (await ethers.getContractFactory("StabilityPoolManagerMock")).deploy();
+        await mock.deployed();
+
+        await network.provider.send("hardhat_setCode", [
+            await dchfToken.stabilityPoolManager(),
+            await ethers.provider.getCode(mock.address),
+        ]);
+    }
+
+    static async connectContracts(contracts) {
+        await contracts.feeContract.setPayable(true);
+
+        await contracts.dchfToken.addTroveManager(contracts.troveManager.address);
+        await contracts.dchfToken.addBorrowerOps(contracts.borrowerOperations.address);
+
+        await contracts.sortedTroves.setParams(
+            contracts.troveManager.address,
+            contracts.borrowerOperations.address
+        );
+
+        await contracts.dfrancParameters.setAddresses(
+            contracts.activePool.address,
+            contracts.priceFeedTestnet.address,
+            contracts.adminContract.address
+        );
+
+        await contracts.troveManager.setAddresses(
+            contracts.collSurplusPool.address,
+            contracts.dchfToken.address,
+            contracts.sortedTroves.address,
+            contracts.feeContract.address,
+            contracts.dfrancParameters.address,
+            contracts.borrowerOperations.address
+        );
+
+        await contracts.borrowerOperations.setAddresses(
+            contracts.troveManager.address,
+            contracts.collSurplusPool.address,
+            contracts.sortedTroves.address,
+            contracts.dchfToken.address,
+            contracts.dfrancParameters.address,
+            contracts.feeContract.address
+        );
+
+        await contracts.activePool.setAddresses(
+            contracts.borrowerOperations.address,
+            contracts.troveManager.address,
+            contracts.collSurplusPool.address
+        );
+
+        await contracts.collSurplusPool.setAddresses(
+            contracts.borrowerOperations.address,
+            contracts.troveManager.address,
+            contracts.activePool.address
+        );
+
+        await contracts.adminContract.setAddresses(
+            contracts.dfrancParameters.address,
+            contracts.borrowerOperations.address,
+            contracts.troveManager.address,
+            contracts.dchfToken.address,
+            contracts.sortedTroves.address
+        );
+
+        await contracts.hintHelpers.setAddresses(
+            contracts.sortedTroves.address,
+            contracts.troveManager.address,
+            contracts.dfrancParameters.address
+        );
+    }
+}
+
+module.exports = {FixtureHelper};
@@ -1,29 +1,28 @@
-const {expectRevert} = require("@openzeppelin/test-helpers");
-const {web3} = require("@openzeppelin/test-helpers/src/setup");
-const BN = require("bn.js");
-const fromWei = web3.utils.fromWei;
+const {ethers, network} = require("hardhat");
+const {assert, expect} = require("chai");
+
+const {BigNumber} = ethers;
+const {formatEther, parseUnits} = ethers.utils;
 // const Destructible = artifacts.require("./TestContracts/Destructible.sol")
 
 const MoneyValues = {
-    negative_5e17: "-" + web3.utils.toWei("500", "finney"),
-    negative_1e18: "-" + web3.utils.toWei("1", "ether"),
-    negative_10e18: "-" + web3.utils.toWei("10", "ether"),
-    negative_50e18: "-" + web3.utils.toWei("50", "ether"),
-    negative_100e18: "-" + web3.utils.toWei("100", "ether"),
-    negative_101e18: "-" + web3.utils.toWei("101", "ether"),
-    negative_eth: (amount) => "-" + web3.utils.toWei(amount, "ether"),
-
-    _zeroBN: web3.utils.toBN("0"),
-    _1e18BN: web3.utils.toBN("1000000000000000000"),
-    _10e18BN: web3.utils.toBN("10000000000000000000"),
-    _100e18BN: web3.utils.toBN("100000000000000000000"),
-    _100BN: web3.utils.toBN("100"),
-    _110BN: web3.utils.toBN("110"),
-    _150BN: web3.utils.toBN("150"),
-
-    _MCR: web3.utils.toBN("1100000000000000000"),
-    _ICR100: web3.utils.toBN("1000000000000000000"),
-    _CCR: web3.utils.toBN("1500000000000000000"),
+    negative_5e17: "-" + parseUnits("500", "finney"),
+    negative_1e18: "-" + parseUnits("1", "ether"),
+    negative_10e18: "-" + parseUnits("10", "ether"),
+    negative_50e18: "-" + parseUnits("50", "ether"),
+    negative_100e18: "-" + parseUnits("100", "ether"),
+    negative_101e18: "-" + parseUnits("101", "ether"),
+    negative_eth: (amount) => "-" + parseUnits(amount, "ether"),
+
+    _zeroBN: BigNumber.from("0"),
+    _1e18BN: BigNumber.from("1000000000000000000"),
+    _10e18BN: BigNumber.from("10000000000000000000"),
+    _100e18BN: BigNumber.from("100000000000000000000"),
+    _100BN: BigNumber.from("100"),
+    _110BN: BigNumber.from("110"),
+    _150BN: BigNumber.from("150"),
+
+    _ICR100: BigNumber.from("1000000000000000000"),
 };
 
 const TimeValues = {
@@ -39,8 +38,6 @@ const TimeValues = {
     MINUTES_IN_ONE_YEAR: 60 * 24 * 365,
 };
 
-const EMPTY_ADDRESS = "0x" + "0".repeat(40);
-
 class TestHelper {
     static dec(val, scale) {
         let zerosCount;
@@ -67,22 +64,22 @@ class TestHelper {
     }
 
     static getDifference(x, y) {
-        const x_BN = web3.utils.toBN(x);
-        const y_BN = web3.utils.toBN(y);
+        const x_BN = BigNumber.from(x);
+        const y_BN = BigNumber.from(y);
 
-        return Number(x_BN.sub(y_BN).abs());
+        return Number(x_BN.sub(y_BN).abs().toString());
     }
 
     static getDifferenceEther(x, y) {
-        return Number(fromWei(this.getDifference(x, y).toString()));
+        return Number(formatEther(BigNumber.from(x).sub(y).abs()));
     }
 
     static toUnit(value, unit = "ether") {
-        return web3.utils.toWei(value, unit);
+        return parseUnits(value, unit).toString();
     }
 
     static toUnitNumber(value, unit = "ether") {
-        return parseInt(web3.utils.toWei(value, unit));
+        return parseInt(parseUnits(value, unit).toString());
     }
 
     static assertIsApproximatelyEqual(x, y, error = 1000) {
@@ -122,7 +119,7 @@ class TestHelper {
     }
 
     static getGasMinMaxAvg(gasCostList) {
-        const metrics = th.getGasMetrics(gasCostList);
+        const metrics = this.getGasMetrics(gasCostList);
 
         const minGas = metrics.minGas;
         const maxGas = metrics.maxGas;
@@ -139,24 +136,25 @@ class TestHelper {
 
     static randDecayFactor(min, max) {
         const amount = Math.random() * (max - min) + min;
-        const amountInWei = web3.utils.toWei(amount.toFixed(18), "ether");
+        const amountInWei = parseUnits(amount.toFixed(18), "ether").toString();
         return amountInWei;
     }
 
     static randAmountInWei(min, max) {
         const amount = Math.random() * (max - min) + min;
-        const amountInWei = web3.utils.toWei(amount.toString(), "ether");
+        // parseUnits rejects more than 18 decimals
+        const amountInWei = parseUnits(amount.toFixed(18), "ether").toString();
         return amountInWei;
     }
 
     static randAmountInGWei(min, max) {
         const amount = Math.floor(Math.random() * (max - min) + min);
-        const amountInWei = web3.utils.toWei(amount.toString(), "gwei");
+        const amountInWei = parseUnits(amount.toString(), "gwei").toString();
         return amountInWei;
     }
 
     static makeWei(num) {
-        return web3.utils.toWei(num.toString(), "ether");
+        return parseUnits(num.toString(), "ether").toString();
     }
 
     static appendData(results, message, data) {
@@ -170,44 +168,51 @@ class TestHelper {
         const ICR_Percent = Math.floor(Math.random() * (max - min) + min);
 
         // Convert ICR to a duint
-        const ICR = web3.utils.toWei((ICR_Percent * 10).toString(), "finney");
+        const ICR = parseUnits((ICR_Percent * 10).toString(), "finney").toString();
         return ICR;
     }
 
     static computeICR(coll, debt, price) {
-        const collBN = web3.utils.toBN(coll);
-        const debtBN = web3.utils.toBN(debt);
-        const priceBN = web3.utils.toBN(price);
+        const collBN = BigNumber.from(coll);
+        const debtBN = BigNumber.from(debt);
+        const priceBN = BigNumber.from(price);
 
-        const ICR = debtBN.eq(this.toBN("0"))
-            ? this.toBN("0xffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff")
-            : collBN.mul(priceBN).div(debtBN);
+        const ICR = debtBN.eq(this.toBN("0")) ? ethers.constants.MaxUint256 : collBN.mul(priceBN).div(debtBN);
 
         return ICR;
     }
 
-    static async ICRbetween100and110(account, troveManager, price, asset) {
+    static async ICRbetween100andLiqMCR(contracts, account, price, asset) {
         if (!asset) asset = this.ZERO_ADDRESS;
 
-        const ICR = await troveManager.getCurrentICR(asset, account, price);
-        return ICR.gt(MoneyValues._ICR100) && ICR.lt(MoneyValues._MCR);
+        const ICR = await contracts.troveManager.getCurrentICR(asset, account, price);
+        return ICR.gt(MoneyValues._ICR100) && ICR.lt(await this.getLiqMCR(contracts, asset));
     }
 
-    static async isUndercollateralized(account, troveManager, price) {
-        const ICR = await troveManager.getCurrentICR(account, price);
-        return ICR.lt(MoneyValues._MCR);
+    // Whether the trove can be liquidated, i.e. its ICR is below the LIQ_MCR of the asset
+    static async isUndercollateralized(contracts, account, price, asset) {
+        if (!asset) asset = this.ZERO_ADDRESS;
+
+        const ICR = await contracts.troveManager.getCurrentICR(asset, account, price);
+        return ICR.lt(await this.getLiqMCR(contracts, asset));
     }
-    q;
 
     static toBN(num) {
-        return web3.utils.toBN(num);
+        return BigNumber.from(num);
     }
 
-    static gasUsed(tx) {
-        const gas = tx.receipt.gasUsed;
+    // Takes the receipt returned by `await tx.wait()`
+    static gasUsed(receipt) {
+        const gas = receipt.gasUsed.toNumber();
         return gas;
     }
 
+    // Ethers overrides cannot carry a `from` account, so the contract is connected to that signer instead
+    static connectFrom(contract, extraParams = {}) {
+        const {from, ...overrides} = extraParams;
+        return [from ? contract.connect(from) : contract, overrides];
+    }
+
     static applyLiquidationFee(ethAmount) {
         return ethAmount.mul(this.toBN(this.dec(995, 15))).div(MoneyValues._1e18BN);
     }
@@ -234,14 +239,16 @@ class TestHelper {
         );
     }
 
-    static async logActiveAccounts(contracts, n) {
-        const count = await contracts.sortedTroves.getSize();
+    static async logActiveAccounts(contracts, n, asset) {
+        if (!asset) asset = this.ZERO_ADDRESS;
+
+        const count = (await contracts.sortedTroves.getSize(asset)).toNumber();
         const price = await contracts.priceFeedTestnet.getPrice();
 
         n = typeof n == "undefined" ? count : n;
 
-        let account = await contracts.sortedTroves.getLast();
-        const head = await contracts.sortedTroves.getFirst();
+        let account = await contracts.sortedTroves.getLast(asset);
+        const head = await contracts.sortedTroves.getFirst(asset);
 
         console.log(`Total active accounts: ${count}`);
         console.log(`First ${n} accounts, in ascending ICR order:`);
@@ -249,9 +256,9 @@ class TestHelper {
         let i = 0;
         while (i < n) {
             const squeezedAddr = this.squeezeAddr(account);
-            const coll = (await contracts.troveManager.Troves(account))[1];
-            const debt = (await contracts.troveManager.Troves(account))[0];
-            const ICR = await contracts.troveManager.getCurrentICR(account, price);
+            const coll = (await contracts.troveManager.Troves(account, asset))[this.TROVE_COLL_INDEX];
+            const debt = (await contracts.troveManager.Troves(account, asset))[this.TROVE_DEBT_INDEX];
+            const ICR = await contracts.troveManager.getCurrentICR(asset, account, price);
 
             console.log(`Acct: ${squeezedAddr}  coll:${coll}  debt: ${debt}  ICR: ${ICR}`);
 
@@ -259,13 +266,15 @@ class TestHelper {
                 break;
             }
 
-            account = await contracts.sortedTroves.getPrev(account);
+            account = await contracts.sortedTroves.getPrev(asset, account);
 
             i++;
         }
     }
 
-    static async logAccountsArray(accounts, troveManager, price, n) {
+    static async logAccountsArray(accounts, troveManager, price, n, asset) {
+        if (!asset) asset = this.ZERO_ADDRESS;
+
         const length = accounts.length;
 
         n = typeof n == "undefined" ? length : n;
@@ -277,9 +286,9 @@ class TestHelper {
             const account = accounts[i];
 
             const squeezedAddr = this.squeezeAddr(account);
-            const coll = (await troveManager.Troves(account))[1];
-            const debt = (await troveManager.Troves(account))[0];
-            const ICR = await troveManager.getCurrentICR(account, price);
+            const coll = (await troveManager.Troves(account, asset))[this.TROVE_COLL_INDEX];
+            const debt = (await troveManager.Troves(account, asset))[this.TROVE_DEBT_INDEX];
+            const ICR = await troveManager.getCurrentICR(asset, account, price);
 
             console.log(`Acct: ${squeezedAddr}  coll:${coll}  debt: ${debt}  ICR: ${ICR}`);
         }
@@ -292,45 +301,151 @@ class TestHelper {
         console.log(`${label}:`, integerPart + "." + x.slice(-18));
     }
 
-    // --- TCR and Recovery Mode functions ---
+    // --- TCR and LIMIT_CR functions ---
 
-    // These functions use the PriceFeedTestNet view price function getPrice() which is sufficient for testing.
+    // These functions use the PriceFeedTestNet view price functions, through getSystemPrice, which is sufficient
+    // for testing.
     // the mainnet contract PriceFeed uses fetchPrice, which is non-view and writes to storage.
 
-    // To checkRecoveryMode / getTCR from the Liquity mainnet contracts, pass a price value - this can be the lastGoodPrice
-    // stored in Liquity, or the current Chainlink ETHUSD price, etc.
+    // There is no Recovery Mode: below the LIMIT_CR of an asset, BorrowerOperations only blocks the actions that
+    // would lower its TCR further. Troves are liquidatable below LIQ_MCR and can only be opened or adjusted
+    // at or above BORROW_MCR.
 
-    static async checkRecoveryMode(contracts, asset) {
-        if (!asset) asset = EMPTY_ADDRESS;
+    static async getTCR(contracts, asset) {
+        if (!asset) asset = this.ZERO_ADDRESS;
 
-        const price = await contracts.priceFeedTestnet.getPrice();
-        return contracts.troveManager.checkRecoveryMode(asset, price);
+        const price = await this.getSystemPrice(contracts);
+        return contracts.troveManager.getTCR(asset, price);
     }
 
-    static async getTCR(contracts, asset) {
-        if (!asset) asset = EMPTY_ADDRESS;
+    static async getLimitCR(contracts, asset) {
+        if (!asset) asset = this.ZERO_ADDRESS;
+        return contracts.dfrancParameters.LIMIT_CR(asset);
+    }
 
-        const price = await contracts.priceFeedTestnet.getPrice();
-        return contracts.troveManager.getTCR(asset, price);
+    static async getLiqMCR(contracts, asset) {
+        if (!asset) asset = this.ZERO_ADDRESS;
+        return contracts.dfrancParameters.LIQ_MCR(asset);
     }
 
-    // --- Gas compensation calculation functions ---
+    static async getBorrowMCR(contracts, asset) {
+        if (!asset) asset = this.ZERO_ADDRESS;
+        return contracts.dfrancParameters.BORROW_MCR(asset);
+    }
 
-    // Given a composite debt, returns the actual debt  - i.e. subtracts the virtual debt.
-    // Virtual debt = 50 DCHF.
-    static async getActualDebtFromComposite(compositeDebt, contracts, asset) {
+    static async isBelowLimitCR(contracts, asset) {
+        const TCR = await this.getTCR(contracts, asset);
+        return TCR.lt(await this.getLimitCR(contracts, asset));
+    }
+
+    /*
+     * Tells which actions are expected to revert for the asset at the current TCR, mirroring the checks of
+     * BorrowerOperations and of TroveManager.redeemCollateral:
+     *  - below LIMIT_CR, withdrawColl and withdrawDCHF (and adjustTrove with either) revert, and openTrove
+     *    needs an ICR of at least openTroveMinICR
+     *  - addColl and repayDCHF never revert because of the TCR
+     *  - closeTrove reverts if removing the trove leaves the TCR below LIMIT_CR. It is only computed when a
+     *    borrower is given
+     *  - redeemCollateral reverts below LIQ_MCR
+     * Actions that start above LIMIT_CR can still revert if they move the TCR below it.
+     */
+    static async getExpectedRestrictions(contracts, asset, borrower) {
         if (!asset) asset = this.ZERO_ADDRESS;
 
-        const issuedDebt = await contracts.troveManager.getActualDebtFromComposite(asset, compositeDebt);
-        return issuedDebt;
+        const price = await this.getSystemPrice(contracts);
+        const TCR = await contracts.troveManager.getTCR(asset, price);
+        const limitCR = await this.getLimitCR(contracts, asset);
+        const borrowMCR = await this.getBorrowMCR(contracts, asset);
+        const belowLimitCR = TCR.lt(limitCR);
+
+        const restrictions = {
+            TCR,
+            belowLimitCR,
+            openTroveMinICR: belowLimitCR && limitCR.gt(borrowMCR) ? limitCR : borrowMCR,
+            withdrawColl: belowLimitCR,
+            withdrawDCHF: belowLimitCR,
+            addColl: false,
+            repayDCHF: false,
+            redeemCollateral: TCR.lt(await this.getLiqMCR(contracts, asset)),
+        };
+
+        if (borrower) {
+            const {debt, coll} = await contracts.troveManager.getEntireDebtAndColl(asset, borrower);
+            const systemColl = await contracts.troveManager.getEntireSystemColl(asset);
+            const systemDebt = await contracts.troveManager.getEntireSystemDebt(asset);
+
+            const newTCR = this.computeICR(systemColl.sub(coll), systemDebt.sub(debt), price);
+            restrictions.closeTrove = newTCR.lt(limitCR);
+        }
+
+        return restrictions;
+    }
+
+    // --- ICR target functions ---
+
+    /*
+     * ICR_TARGETS resolve against the DfrancParameters of the asset. Troves can only be opened or adjusted at or
+     * above BORROW_MCR, so BETWEEN_LIQ_AND_BORROW_MCR and LIQUIDATABLE are reached by lowering the price after
+     * the trove is at BORROW_MCR. PriceFeedTestnet has a single price, so this moves every trove of every asset.
+     */
+
+    static isICRTarget(ICR) {
+        return Object.values(this.ICR_TARGETS).includes(ICR);
     }
 
-    // Adds the gas compensation (50 DCHF)
-    static async getCompositeDebt(contracts, debt, asset) {
+    // The price BorrowerOperations and TroveManager get from PriceFeedTestnet.fetchPrice
+    static async getSystemPrice(contracts) {
+        const price = await contracts.priceFeedTestnet.getPrice();
+        const index = await contracts.priceFeedTestnet.getIndex();
+        return price.mul(index).div(MoneyValues._1e18BN);
+    }
+
+    // The least collateral for which the ICR is at or above the given one, i.e. ICR * debt / price rounded up
+    static getCollForICR(ICR, debt, price) {
+        return this.toBN(ICR).mul(debt).add(price).sub(1).div(price);
+    }
+
+    // Lowers the price so that the trove reaches the target, and returns its new ICR
+    static async moveToICRTarget(contracts, borrower, target, asset) {
         if (!asset) asset = this.ZERO_ADDRESS;
 
-        const compositeDebt = contracts.borrowerOperations.getCompositeDebt(asset, debt);
-        return compositeDebt;
+        const liqMCR = await this.getLiqMCR(contracts, asset);
+        const borrowMCR = await this.getBorrowMCR(contracts, asset);
+        let targetICR;
+        if (target == this.ICR_TARGETS.BETWEEN_LIQ_AND_BORROW_MCR) {
+            targetICR = liqMCR.add(borrowMCR).div(2);
+        } else if (target == this.ICR_TARGETS.LIQUIDATABLE) {
+            targetICR = liqMCR.sub(1);
+        }
+
+        if (targetICR) {
+            const {debt, coll} = await contracts.troveManager.getEntireDebtAndColl(asset, borrower);
+            // Rounded down, so that the ICR ends up at or below the target
+            const systemPrice = targetICR.mul(debt).div(coll);
+            const index = await contracts.priceFeedTestnet.getIndex();
+            await (
+                await contracts.priceFeedTestnet.setPrice(systemPrice.mul(MoneyValues._1e18BN).div(index))
+            ).wait();
+        }
+
+        const price = await this.getSystemPrice(contracts);
+        return contracts.troveManager.getCurrentICR(asset, borrower, price);
+    }
+
+    // --- Debt calculation functions ---
+
+    // There is no gas compensation nor DefaultPool: the debt of a trove is the DCHF it borrowed plus the
+    // borrowing fees, all held by the ActivePool. BorrowerOperations no longer has getCompositeDebt, so
+    // assertTroveDebt cross-checks the debt computed here against the one recorded by TroveManager.
+
+    // The debt openTrove records for a requested DCHF amount and the fee it paid, as in BorrowerOperations
+    static getCompositeDebt(DCHFAmount, DCHFFee) {
+        return this.toBN(DCHFAmount).add(DCHFFee);
+    }
+
+    static async assertTroveDebt(contracts, trove, expectedDebt, asset) {
+        const debt = await this.getTroveEntireDebt(contracts, trove, asset);
+        assert.equal(debt.toString(), this.toBN(expectedDebt).toString(), "Unexpected trove debt");
     }
 
     static async getTroveEntireColl(contracts, trove, asset) {
@@ -343,32 +458,23 @@ class TestHelper {
         return this.toBN((await contracts.troveManager.getEntireDebtAndColl(asset, trove))[0]);
     }
 
-    static async getTroveStake(contracts, trove, asset) {
-        if (!asset) asset = this.ZERO_ADDRESS;
-        return contracts.troveManager.getTroveStake(asset, trove);
-    }
-
     /*
      * given the requested DCHF amomunt in openTrove, returns the total debt
-     * So, it adds the gas compensation and the borrowing fee
+     * So, it adds the borrowing fee at the current base rate
      */
     static async getOpenTroveTotalDebt(contracts, DCHFAmount, asset) {
         if (!asset) asset = this.ZERO_ADDRESS;
 
         const fee = await contracts.troveManager.getBorrowingFee(asset, DCHFAmount);
-        const compositeDebt = await this.getCompositeDebt(contracts, DCHFAmount, asset);
-        return compositeDebt.add(fee);
+        return this.getCompositeDebt(DCHFAmount, fee);
     }
 
     /*
      * given the desired total debt, returns the DCHF amount that needs to be requested in openTrove
-     * So, it subtracts the gas compensation and then the borrowing fee
+     * So, it subtracts the borrowing fee
      */
     static async getOpenTroveDCHFAmount(contracts, totalDebt, asset) {
-        if (!asset) asset = this.ZERO_ADDRESS;
-
-        const actualDebt = await this.getActualDebtFromComposite(totalDebt, contracts, asset);
-        return this.getNetBorrowingAmount(contracts, actualDebt, asset);
+        return this.getNetBorrowingAmount(contracts, totalDebt, asset);
     }
 
     // Subtracts the borrowing fee
@@ -384,117 +490,105 @@ class TestHelper {
         if (!asset) asset = this.ZERO_ADDRESS;
 
         const fee = await contracts.troveManager.getBorrowingFee(asset, DCHFAmount);
-        return DCHFAmount.add(fee);
+        return this.toBN(DCHFAmount).add(fee);
     }
 
     // Adds the redemption fee
-    static async getRedemptionGrossAmount(contracts, expected) {
-        const redemptionRate = await contracts.troveManager.getRedemptionRate();
+    static async getRedemptionGrossAmount(contracts, expected, asset) {
+        if (!asset) asset = this.ZERO_ADDRESS;
+
+        const redemptionRate = await contracts.troveManager.getRedemptionRate(asset);
         return expected.mul(MoneyValues._1e18BN).div(MoneyValues._1e18BN.add(redemptionRate));
     }
 
-    // Get's total collateral minus total gas comp, for a series of troves.
-    static async getExpectedTotalCollMinusTotalGasComp(troveList, contracts) {
-        let totalCollRemainder = web3.utils.toBN("0");
+    // Gets the total collateral of a series of troves. There is no gas comp to subtract from it
+    static async getExpectedTotalColl(troveList, contracts, asset) {
+        let totalColl = this.toBN("0");
 
         for (const trove of troveList) {
-            const remainingColl = this.getCollMinusGasComp(trove, contracts);
-            totalCollRemainder = totalCollRemainder.add(remainingColl);
+            totalColl = totalColl.add(await this.getTroveEntireColl(contracts, trove, asset));
         }
-        return totalCollRemainder;
+        return totalColl;
     }
 
-    static getEmittedRedemptionValues(redemptionTx) {
-        for (let i = 0; i < redemptionTx.logs.length; i++) {
-            if (redemptionTx.logs[i].event === "Redemption") {
-                const DCHFAmount = redemptionTx.logs[i].args[1];
-                const totalDCHFRedeemed = redemptionTx.logs[i].args[2];
-                const totalAssetDrawn = redemptionTx.logs[i].args[3];
-                const ETHFee = redemptionTx.logs[i].args[4];
+    // --- Event functions ---
 
-                return [DCHFAmount, totalDCHFRedeemed, totalAssetDrawn, ETHFee];
-            }
-        }
-        throw "The transaction logs do not contain a redemption event";
+    // These functions take the receipt returned by `await tx.wait()`, whose `events` are decoded by the contract
+    // that sent the transaction
+
+    static getEmittedRedemptionValues(redemptionReceipt) {
+        const event = this.getEvent(redemptionReceipt, "Redemption");
+        if (!event) throw "The transaction logs do not contain a redemption event";
+
+        const DCHFAmount = event.args[1];
+        const totalDCHFRedeemed = event.args[2];
+        const totalAssetDrawn = event.args[3];
+        const ETHFee = event.args[4];
+
+        return [DCHFAmount, totalDCHFRedeemed, totalAssetDrawn, ETHFee];
     }
 
-    static getEmittedLiquidationValues(liquidationTx) {
-        for (let i = 0; i < liquidationTx.logs.length; i++) {
-            if (liquidationTx.logs[i].event === "Liquidation") {
-                const liquidatedDebt = liquidationTx.logs[i].args[1];
-                const liquidatedColl = liquidationTx.logs[i].args[2];
-                const collGasComp = liquidationTx.logs[i].args[3];
-                const DCHFGasComp = liquidationTx.logs[i].args[4];
+    static getEmittedLiquidationValues(liquidationReceipt) {
+        const event = this.getEvent(liquidationReceipt, "Liquidation");
+        if (!event) throw "The transaction logs do not contain a liquidation event";
 
-                return [liquidatedDebt, liquidatedColl, collGasComp, DCHFGasComp];
-            }
-        }
-        throw "The transaction logs do not contain a liquidation event";
+        const liquidatedDebt = event.args._liquidatedDebt;
+        const liquidatedColl = event.args._liquidatedColl;
+        const protocolCompensation = event.args._protocolCompensation;
+
+        return [liquidatedDebt, liquidatedColl, protocolCompensation];
     }
 
-    static getEmittedLiquidatedDebt(liquidationTx) {
-        return this.getLiquidationEventArg(liquidationTx, 0); // LiquidatedDebt is position 0 in the Liquidation event
+    static getEmittedLiquidatedDebt(liquidationReceipt) {
+        return this.getLiquidationEventArg(liquidationReceipt, "_liquidatedDebt");
     }
 
-    static getEmittedLiquidatedColl(liquidationTx) {
-        return this.getLiquidationEventArg(liquidationTx, 1); // LiquidatedColl is position 1 in the Liquidation event
+    static getEmittedLiquidatedColl(liquidationReceipt) {
+        return this.getLiquidationEventArg(liquidationReceipt, "_liquidatedColl");
     }
 
-    static getEmittedGasComp(liquidationTx) {
-        return this.getLiquidationEventArg(liquidationTx, 2); // GasComp is position 2 in the Liquidation event
+    static getEmittedProtocolCompensation(liquidationReceipt) {
+        return this.getLiquidationEventArg(liquidationReceipt, "_protocolCompensation");
     }
 
-    static getLiquidationEventArg(liquidationTx, arg) {
-        for (let i = 0; i < liquidationTx.logs.length; i++) {
-            if (liquidationTx.logs[i].event === "Liquidation") {
-                return liquidationTx.logs[i].args[arg];
-            }
-        }
+    // `arg` is either the position or the name of the argument in the Liquidation event
+    static getLiquidationEventArg(liquidationReceipt, arg) {
+        const event = this.getEvent(liquidationReceipt, "Liquidation");
+        if (!event) throw "The transaction logs do not contain a liquidation event";
 
-        throw "The transaction logs do not contain a liquidation event";
+        return event.args[arg];
     }
 
-    static getDCHFFeeFromDCHFBorrowingEvent(tx) {
-        for (let i = 0; i < tx.logs.length; i++) {
-            if (tx.logs[i].event === "DCHFBorrowingFeePaid") {
-                return tx.logs[i].args[2].toString();
-            }
-        }
-        throw "The transaction logs do not contain an DCHFBorrowingFeePaid event";
+    static getDCHFFeeFromDCHFBorrowingEvent(receipt) {
+        const event = this.getEvent(receipt, "DCHFBorrowingFeePaid");
+        if (!event) throw "The transaction logs do not contain an DCHFBorrowingFeePaid event";
+
+        return event.args._DCHFFee.toString();
     }
 
-    static getEventArgByIndex(tx, eventName, argIndex) {
-        for (let i = 0; i < tx.logs.length; i++) {
-            if (tx.logs[i].event === eventName) {
-                return tx.logs[i].args[argIndex];
-            }
-        }
-        throw `The transaction logs do not contain event ${eventName}`;
+    static getEventArgByIndex(receipt, eventName, argIndex) {
+        const event = this.getEvent(receipt, eventName);
+        if (!event) throw `The transaction logs do not contain event ${eventName}`;
+
+        return event.args[argIndex];
     }
 
-    static getEventArgByName(tx, eventName, argName) {
-        for (let i = 0; i < tx.logs.length; i++) {
-            if (tx.logs[i].event === eventName) {
-                const keys = Object.keys(tx.logs[i].args);
-                for (let j = 0; j < keys.length; j++) {
-                    if (keys[j] === argName) {
-                        return tx.logs[i].args[keys[j]];
-                    }
-                }
-            }
+    static getEventArgByName(receipt, eventName, argName) {
+        const event = this.getEvent(receipt, eventName);
+        if (!event || !Object.keys(event.args).includes(argName)) {
+            throw `The transaction logs do not contain event ${eventName} and arg ${argName}`;
         }
 
-        throw `The transaction logs do not contain event ${eventName} and arg ${argName}`;
+        return event.args[argName];
     }
 
-    static getAllEventsByName(tx, eventName) {
-        const events = [];
-        for (let i = 0; i < tx.logs.length; i++) {
-            if (tx.logs[i].event === eventName) {
-                events.push(tx.logs[i]);
-            }
-        }
-        return events;
+    static getAllEventsByName(receipt, eventName) {
+        return receipt.events.filter((event) => event.event === eventName);
+    }
+
+    static getEvent(receipt, eventName) {
+        if (!receipt.events) throw "Expected the receipt of a transaction, use `await tx.wait()`";
+        return receipt.events.find((event) => event.event === eventName);
     }
 
     static getDebtAndCollFromTroveUpdatedEvents(troveUpdatedEvents, address) {
@@ -502,9 +596,12 @@ class TestHelper {
         return [event.args[2], event.args[3]];
     }
 
-    static async getBorrowerOpsListHint(contracts, newColl, newDebt) {
+    static async getBorrowerOpsListHint(contracts, newColl, newDebt, asset) {
+        if (!asset) asset = this.ZERO_ADDRESS;
+
         const newNICR = await contracts.hintHelpers.computeNominalCR(newColl, newDebt);
         const {hintAddress: approxfullListHint, latestRandomSeed} = await contracts.hintHelpers.getApproxHint(
+            asset,
             newNICR,
             5,
             this.latestRandomSeed
@@ -512,6 +609,7 @@ class TestHelper {
         this.latestRandomSeed = latestRandomSeed;
 
         const {0: upperHint, 1: lowerHint} = await contracts.sortedTroves.findInsertPosition(
+            asset,
             newNICR,
             approxfullListHint,
             approxfullListHint
@@ -522,27 +620,25 @@ class TestHelper {
     static async getEntireCollAndDebt(contracts, account, asset) {
         if (!asset) asset = this.ZERO_ADDRESS;
 
-        // console.log(`account: ${account}`)
-        const rawColl = (await contracts.troveManager.Troves(account, asset))[this.TROVE_COLL_INDEX];
-        const rawDebt = (await contracts.troveManager.Troves(account, asset))[this.TROVE_DEBT_INDEX];
-        const pendingAssetReward = await contracts.troveManager.getPendingAssetReward(asset, account);
-        const pendingDCHFDebtReward = await contracts.troveManager.getPendingDCHFDebtReward(asset, account);
-        const entireColl = rawColl.add(pendingAssetReward);
-        const entireDebt = rawDebt.add(pendingDCHFDebtReward);
+        // There are no redistributions, so no pending rewards to add to the trove
+        const {debt: entireDebt, coll: entireColl} = await contracts.troveManager.getEntireDebtAndColl(
+            asset,
+            account
+        );
 
         return {entireColl, entireDebt};
     }
 
-    static async getCollAndDebtFromAddColl(contracts, account, amount) {
-        const {entireColl, entireDebt} = await this.getEntireCollAndDebt(contracts, account);
+    static async getCollAndDebtFromAddColl(contracts, account, amount, asset) {
+        const {entireColl, entireDebt} = await this.getEntireCollAndDebt(contracts, account, asset);
 
         const newColl = entireColl.add(this.toBN(amount));
         const newDebt = entireDebt;
         return {newColl, newDebt};
     }
 
-    static async getCollAndDebtFromWithdrawColl(contracts, account, amount) {
-        const {entireColl, entireDebt} = await this.getEntireCollAndDebt(contracts, account);
+    static async getCollAndDebtFromWithdrawColl(contracts, account, amount, asset) {
+        const {entireColl, entireDebt} = await this.getEntireCollAndDebt(contracts, account, asset);
         // console.log(`entireColl  ${entireColl}`)
         // console.log(`entireDebt  ${entireDebt}`)
 
@@ -551,9 +647,11 @@ class TestHelper {
         return {newColl, newDebt};
     }
 
-    static async getCollAndDebtFromWithdrawDCHF(contracts, account, amount) {
-        const fee = await contracts.troveManager.getBorrowingFee(amount);
-        const {entireColl, entireDebt} = await this.getEntireCollAndDebt(contracts, account);
+    static async getCollAndDebtFromWithdrawDCHF(contracts, account, amount, asset) {
+        if (!asset) asset = this.ZERO_ADDRESS;
+
+        const fee = await contracts.troveManager.getBorrowingFee(asset, amount);
+        const {entireColl, entireDebt} = await this.getEntireCollAndDebt(contracts, account, asset);
 
         const newColl = entireColl;
         const newDebt = entireDebt.add(this.toBN(amount)).add(fee);
@@ -561,8 +659,8 @@ class TestHelper {
         return {newColl, newDebt};
     }
 
-    static async getCollAndDebtFromRepayDCHF(contracts, account, amount) {
-        const {entireColl, entireDebt} = await this.getEntireCollAndDebt(contracts, account);
+    static async getCollAndDebtFromRepayDCHF(contracts, account, amount, asset) {
+        const {entireColl, entireDebt} = await this.getEntireCollAndDebt(contracts, account, asset);
 
         const newColl = entireColl;
         const newDebt = entireDebt.sub(this.toBN(amount));
@@ -570,14 +668,16 @@ class TestHelper {
         return {newColl, newDebt};
     }
 
-    static async getCollAndDebtFromAdjustment(contracts, account, ETHChange, DCHFChange) {
-        const {entireColl, entireDebt} = await this.getEntireCollAndDebt(contracts, account);
+    static async getCollAndDebtFromAdjustment(contracts, account, ETHChange, DCHFChange, asset) {
+        if (!asset) asset = this.ZERO_ADDRESS;
+
+        const {entireColl, entireDebt} = await this.getEntireCollAndDebt(contracts, account, asset);
 
         // const coll = (await contracts.troveManager.Troves(account))[1]
         // const debt = (await contracts.troveManager.Troves(account))[0]
 
         const fee = DCHFChange.gt(this.toBN("0"))
-            ? await contracts.troveManager.getBorrowingFee(DCHFChange)
+            ? await contracts.troveManager.getBorrowingFee(asset, DCHFChange)
             : this.toBN("0");
         const newColl = entireColl.add(ETHChange);
         const newDebt = entireDebt.add(DCHFChange).add(fee);
@@ -587,6 +687,8 @@ class TestHelper {
 
     // --- BorrowerOperations gas functions ---
 
+    // The accounts of these functions are signers, opening and adjusting ETH troves
+
     static async openTrove_allAccounts(accounts, contracts, ETHAmount, DCHFAmount) {
         const gasCostList = [];
         const totalDebt = await this.getOpenTroveTotalDebt(contracts, DCHFAmount);
@@ -594,14 +696,12 @@ class TestHelper {
         for (const account of accounts) {
             const {upperHint, lowerHint} = await this.getBorrowerOpsListHint(contracts, ETHAmount, totalDebt);
 
-            const tx = await contracts.borrowerOperations.openTrove(
-                this._100pct,
-                DCHFAmount,
-                upperHint,
-                lowerHint,
-                {from: account, value: ETHAmount}
-            );
-            const gas = this.gasUsed(tx);
+            const tx = await contracts.borrowerOperations
+                .connect(account)
+                .openTrove(this.ZERO_ADDRESS, ETHAmount, this._100pct, DCHFAmount, upperHint, lowerHint, {
+                    value: ETHAmount,
+                });
+            const gas = this.gasUsed(await tx.wait());
             gasCostList.push(gas);
         }
         return this.getGasMetrics(gasCostList);
@@ -619,14 +719,20 @@ class TestHelper {
                 totalDebt
             );
 
-            const tx = await contracts.borrowerOperations.openTrove(
-                this._100pct,
-                DCHFAmount,
-                upperHint,
-                lowerHint,
-                {from: account, value: randCollAmount}
-            );
-            const gas = this.gasUsed(tx);
+            const tx = await contracts.borrowerOperations
+                .connect(account)
+                .openTrove(
+                    this.ZERO_ADDRESS,
+                    randCollAmount,
+                    this._100pct,
+                    DCHFAmount,
+                    upperHint,
+                    lowerHint,
+                    {
+                        value: randCollAmount,
+                    }
+                );
+            const gas = this.gasUsed(await tx.wait());
             gasCostList.push(gas);
         }
         return this.getGasMetrics(gasCostList);
@@ -643,7 +749,7 @@ class TestHelper {
 
         for (const account of accounts) {
             const randCollAmount = this.randAmountInWei(minETH, maxETH);
-            const proportionalDCHF = web3.utils.toBN(proportion).mul(web3.utils.toBN(randCollAmount));
+            const proportionalDCHF = this.toBN(proportion).mul(this.toBN(randCollAmount));
             const totalDebt = await this.getOpenTroveTotalDebt(contracts, proportionalDCHF);
 
             const {upperHint, lowerHint} = await this.getBorrowerOpsListHint(
@@ -652,14 +758,18 @@ class TestHelper {
                 totalDebt
             );
 
-            const tx = await contracts.borrowerOperations.openTrove(
-                this._100pct,
-                proportionalDCHF,
-                upperHint,
-                lowerHint,
-                {from: account, value: randCollAmount}
-            );
-            const gas = this.gasUsed(tx);
+            const tx = await contracts.borrowerOperations
+                .connect(account)
+                .openTrove(
+                    this.ZERO_ADDRESS,
+                    randCollAmount,
+                    this._100pct,
+                    proportionalDCHF,
+                    upperHint,
+                    lowerHint,
+                    {value: randCollAmount}
+                );
+            const gas = this.gasUsed(await tx.wait());
             gasCostList.push(gas);
         }
         return this.getGasMetrics(gasCostList);
@@ -676,16 +786,14 @@ class TestHelper {
     ) {
         const gasCostList = [];
         const price = await contracts.priceFeedTestnet.getPrice();
-        const _1e18 = web3.utils.toBN("1000000000000000000");
+        const _1e18 = this.toBN("1000000000000000000");
 
         let i = 0;
         for (const account of accounts) {
             const randCollAmount = this.randAmountInWei(minETH, maxETH);
             // console.log(`randCollAmount ${randCollAmount }`)
             const randDCHFProportion = this.randAmountInWei(minDCHFProportion, maxDCHFProportion);
-            const proportionalDCHF = web3.utils
-                .toBN(randDCHFProportion)
-                .mul(web3.utils.toBN(randCollAmount).div(_1e18));
+            const proportionalDCHF = this.toBN(randDCHFProportion).mul(this.toBN(randCollAmount).div(_1e18));
             const totalDebt = await this.getOpenTroveTotalDebt(contracts, proportionalDCHF);
             const {upperHint, lowerHint} = await this.getBorrowerOpsListHint(
                 contracts,
@@ -694,20 +802,29 @@ class TestHelper {
             );
 
             const feeFloor = this.dec(5, 16);
-            const tx = await contracts.borrowerOperations.openTrove(
-                this._100pct,
-                proportionalDCHF,
-                upperHint,
-                lowerHint,
-                {from: account, value: randCollAmount}
-            );
+            const tx = await contracts.borrowerOperations
+                .connect(account)
+                .openTrove(
+                    this.ZERO_ADDRESS,
+                    randCollAmount,
+                    this._100pct,
+                    proportionalDCHF,
+                    upperHint,
+                    lowerHint,
+                    {value: randCollAmount}
+                );
+            const receipt = await tx.wait();
 
-            if (logging && tx.receipt.status) {
+            if (logging && receipt.status) {
                 i++;
-                const ICR = await contracts.troveManager.getCurrentICR(account, price);
-                // console.log(`${i}. Trove opened. addr: ${this.squeezeAddr(account)} coll: ${randCollAmount} debt: ${proportionalDCHF} ICR: ${ICR}`)
+                const ICR = await contracts.troveManager.getCurrentICR(
+                    this.ZERO_ADDRESS,
+                    account.address,
+                    price
+                );
+                // console.log(`${i}. Trove opened. addr: ${this.squeezeAddr(account.address)} coll: ${randCollAmount} debt: ${proportionalDCHF} ICR: ${ICR}`)
             }
-            const gas = this.gasUsed(tx);
+            const gas = this.gasUsed(receipt);
             gasCostList.push(gas);
         }
         return this.getGasMetrics(gasCostList);
@@ -721,14 +838,12 @@ class TestHelper {
             const totalDebt = await this.getOpenTroveTotalDebt(contracts, randDCHFAmount);
             const {upperHint, lowerHint} = await this.getBorrowerOpsListHint(contracts, ETHAmount, totalDebt);
 
-            const tx = await contracts.borrowerOperations.openTrove(
-                this._100pct,
-                randDCHFAmount,
-                upperHint,
-                lowerHint,
-                {from: account, value: ETHAmount}
-            );
-            const gas = this.gasUsed(tx);
+            const tx = await contracts.borrowerOperations
+                .connect(account)
+                .openTrove(this.ZERO_ADDRESS, ETHAmount, this._100pct, randDCHFAmount, upperHint, lowerHint, {
+                    value: ETHAmount,
+                });
+            const gas = this.gasUsed(await tx.wait());
             gasCostList.push(gas);
         }
         return this.getGasMetrics(gasCostList);
@@ -738,8 +853,8 @@ class TestHelper {
         const gasCostList = [];
 
         for (const account of accounts) {
-            const tx = await contracts.borrowerOperations.closeTrove({from: account});
-            const gas = this.gasUsed(tx);
+            const tx = await contracts.borrowerOperations.connect(account).closeTrove(this.ZERO_ADDRESS);
+            const gas = this.gasUsed(await tx.wait());
             gasCostList.push(gas);
         }
         return this.getGasMetrics(gasCostList);
@@ -751,24 +866,26 @@ class TestHelper {
         let i = 0;
         for (const account of accounts) {
             const DCHFAmount = (maxDCHFAmount - i).toString();
-            const DCHFAmountWei = web3.utils.toWei(DCHFAmount, "ether");
+            const DCHFAmountWei = parseUnits(DCHFAmount, "ether");
             const totalDebt = await this.getOpenTroveTotalDebt(contracts, DCHFAmountWei);
             const {upperHint, lowerHint} = await this.getBorrowerOpsListHint(contracts, ETHAmount, totalDebt);
 
-            const tx = await contracts.borrowerOperations.openTrove(
-                this._100pct,
-                DCHFAmountWei,
-                upperHint,
-                lowerHint,
-                {from: account, value: ETHAmount}
-            );
-            const gas = this.gasUsed(tx);
+            const tx = await contracts.borrowerOperations
+                .connect(account)
+                .openTrove(this.ZERO_ADDRESS, ETHAmount, this._100pct, DCHFAmountWei, upperHint, lowerHint, {
+                    value: ETHAmount,
+                });
+            const gas = this.gasUsed(await tx.wait());
             gasCostList.push(gas);
             i += 1;
         }
         return this.getGasMetrics(gasCostList);
     }
 
+    /*
+     * Opens a trove with the minimum debt plus extraDCHFAmount, at the given ICR (150% by default). The ICR can
+     * also be one of ICR_TARGETS. extraParams are the ethers overrides of the call, with an optional `from` signer.
+     */
     static async openTrove(
         contracts,
         {asset, assetSent, maxFeePercentage, extraDCHFAmount, upperHint, lowerHint, ICR, extraParams}
@@ -776,9 +893,10 @@ class TestHelper {
         if (!asset) asset = this.ZERO_ADDRESS;
         if (!maxFeePercentage) maxFeePercentage = this._100pct;
         if (!extraDCHFAmount) extraDCHFAmount = this.toBN(0);
-        else if (typeof extraDCHFAmount == "string") extraDCHFAmount = this.toBN(extraDCHFAmount);
+        else extraDCHFAmount = this.toBN(extraDCHFAmount);
         if (!upperHint) upperHint = this.ZERO_ADDRESS;
         if (!lowerHint) lowerHint = this.ZERO_ADDRESS;
+        if (!extraParams) extraParams = {};
 
         await contracts.dfrancParameters.sanitizeParameters(asset);
 
@@ -791,46 +909,59 @@ class TestHelper {
         ).add(this.toBN(1)); // add 1 to avoid rounding issues
         const DCHFAmount = MIN_DEBT.add(extraDCHFAmount);
 
-        if (
+        const target = this.isICRTarget(ICR) ? ICR : undefined;
+        if (target) {
+            // Every target is first opened at BORROW_MCR, the lowest ICR BorrowerOperations accepts
+            ICR = await this.getBorrowMCR(contracts, asset);
+        } else if (
             !ICR &&
             ((asset == this.ZERO_ADDRESS && !extraParams.value) || (asset != this.ZERO_ADDRESS && !assetSent))
         ) {
             ICR = this.toBN(this.dec(15, 17)); // 150%
-        } else if (typeof ICR == "string") ICR = this.toBN(ICR);
+        } else if (ICR) ICR = this.toBN(ICR);
 
-        const totalDebt = await this.getOpenTroveTotalDebt(contracts, DCHFAmount, asset);
-        const netDebt = await this.getActualDebtFromComposite(totalDebt, contracts, asset);
+        // Estimated at the current base rate, only to compute the collateral for the ICR
+        let totalDebt = await this.getOpenTroveTotalDebt(contracts, DCHFAmount, asset);
 
         if (extraParams.value) {
             assetSent = extraParams.value;
         }
 
         if (ICR) {
-            const price = await contracts.priceFeedTestnet.getPrice();
-            assetSent = ICR.mul(totalDebt).div(price);
+            const price = await this.getSystemPrice(contracts);
+            assetSent = this.getCollForICR(ICR, totalDebt, price);
 
             if (asset == this.ZERO_ADDRESS) {
                 extraParams.value = assetSent;
             }
         }
 
-        const tx = await contracts.borrowerOperations.openTrove(
+        const [borrowerOperations, overrides] = this.connectFrom(contracts.borrowerOperations, extraParams);
+        const tx = await borrowerOperations.openTrove(
             asset,
             assetSent,
             maxFeePercentage,
             DCHFAmount,
             upperHint,
             lowerHint,
-            extraParams
+            overrides
         );
+        const receipt = await tx.wait();
+        const borrower = await borrowerOperations.signer.getAddress();
+
+        totalDebt = this.getCompositeDebt(DCHFAmount, this.getDCHFFeeFromDCHFBorrowingEvent(receipt));
+        await this.assertTroveDebt(contracts, borrower, totalDebt, asset);
+
+        if (target) ICR = await this.moveToICRTarget(contracts, borrower, target, asset);
 
         return {
             DCHFAmount,
-            netDebt,
+            netDebt: totalDebt,
             totalDebt,
             ICR,
             collateral: assetSent,
             tx,
+            receipt,
         };
     }
 
@@ -842,6 +973,7 @@ class TestHelper {
         if (!maxFeePercentage) maxFeePercentage = this._100pct;
         if (!upperHint) upperHint = this.ZERO_ADDRESS;
         if (!lowerHint) lowerHint = this.ZERO_ADDRESS;
+        if (!extraParams) extraParams = {};
 
         assert(
             !(DCHFAmount && ICR) && (DCHFAmount || ICR),
@@ -851,28 +983,102 @@ class TestHelper {
         let increasedTotalDebt;
         if (ICR) {
             assert(extraParams.from, "A from account is needed");
-            const {debt, coll} = await contracts.troveManager.getEntireDebtAndColl(asset, extraParams.from);
+            const {debt, coll} = await contracts.troveManager.getEntireDebtAndColl(
+                asset,
+                extraParams.from.address
+            );
             const price = await contracts.priceFeedTestnet.getPrice();
             const targetDebt = coll.mul(price).div(ICR);
-            assert(targetDebt > debt, "ICR is already greater than or equal to target");
+            assert(targetDebt.gt(debt), "ICR is already greater than or equal to target");
             increasedTotalDebt = targetDebt.sub(debt);
-            DCHFAmount = await this.getNetBorrowingAmount(contracts, increasedTotalDebt);
+            DCHFAmount = await this.getNetBorrowingAmount(contracts, increasedTotalDebt, asset);
         } else {
-            increasedTotalDebt = await this.getAmountWithBorrowingFee(contracts, DCHFAmount);
+            increasedTotalDebt = await this.getAmountWithBorrowingFee(contracts, DCHFAmount, asset);
         }
 
-        await contracts.borrowerOperations.withdrawDCHF(
+        const [borrowerOperations, overrides] = this.connectFrom(contracts.borrowerOperations, extraParams);
+        const tx = await borrowerOperations.withdrawDCHF(
             asset,
             maxFeePercentage,
             DCHFAmount,
             upperHint,
             lowerHint,
-            extraParams
+            overrides
         );
+        const receipt = await tx.wait();
 
         return {
             DCHFAmount,
             increasedTotalDebt,
+            tx,
+            receipt,
+        };
+    }
+
+    /*
+     * Adds or withdraws collateral so that the trove of the `from` signer reaches the given ICR, which can also
+     * be one of ICR_TARGETS. DCHFChange and isDebtIncrease change the debt in the same call, and the
+     * collateral is computed from the resulting debt.
+     */
+    static async adjustTrove(
+        contracts,
+        {asset, ICR, DCHFChange, isDebtIncrease, maxFeePercentage, upperHint, lowerHint, extraParams}
+    ) {
+        if (!asset) asset = this.ZERO_ADDRESS;
+        if (!DCHFChange) DCHFChange = this.toBN(0);
+        else DCHFChange = this.toBN(DCHFChange);
+        if (!maxFeePercentage) maxFeePercentage = this._100pct;
+        if (!upperHint) upperHint = this.ZERO_ADDRESS;
+        if (!lowerHint) lowerHint = this.ZERO_ADDRESS;
+        if (!extraParams) extraParams = {};
+
+        assert(ICR, "A target ICR is needed");
+
+        const [borrowerOperations, overrides] = this.connectFrom(contracts.borrowerOperations, extraParams);
+        const borrower = await borrowerOperations.signer.getAddress();
+
+        const target = this.isICRTarget(ICR) ? ICR : undefined;
+        const targetICR = target ? await this.getBorrowMCR(contracts, asset) : this.toBN(ICR);
+
+        const {debt, coll} = await contracts.troveManager.getEntireDebtAndColl(asset, borrower);
+        let newDebt;
+        if (isDebtIncrease) {
+            newDebt = debt.add(await this.getAmountWithBorrowingFee(contracts, DCHFChange, asset));
+        } else {
+            newDebt = debt.sub(DCHFChange);
+        }
+
+        const price = await this.getSystemPrice(contracts);
+        const newColl = this.getCollForICR(targetICR, newDebt, price);
+        const assetSent = newColl.gt(coll) ? newColl.sub(coll) : this.toBN(0);
+        const collWithdrawal = coll.gt(newColl) ? coll.sub(newColl) : this.toBN(0);
+
+        if (asset == this.ZERO_ADDRESS) overrides.value = assetSent;
+
+        const tx = await borrowerOperations.adjustTrove(
+            asset,
+            assetSent,
+            maxFeePercentage,
+            collWithdrawal,
+            DCHFChange,
+            !!isDebtIncrease,
+            upperHint,
+            lowerHint,
+            overrides
+        );
+        const receipt = await tx.wait();
+
+        let newICR = await contracts.troveManager.getCurrentICR(asset, borrower, price);
+        if (target) newICR = await this.moveToICRTarget(contracts, borrower, target, asset);
+
+        return {
+            assetSent,
+            collWithdrawal,
+            newColl,
+            newDebt,
+            ICR: newICR,
+            tx,
+            receipt,
         };
     }
 
@@ -887,7 +1093,7 @@ class TestHelper {
 
             const {newColl, newDebt} = await this.getCollAndDebtFromAdjustment(
                 contracts,
-                account,
+                account.address,
                 ETHChangeBN,
                 DCHFChangeBN
             );
@@ -900,30 +1106,37 @@ class TestHelper {
 
             // Add ETH to trove
             if (ETHChangeBN.gt(zero)) {
-                tx = await contracts.borrowerOperations.adjustTrove(
-                    this._100pct,
-                    0,
-                    DCHFChangeBN,
-                    isDebtIncrease,
-                    upperHint,
-                    lowerHint,
-                    {from: account, value: ETHChangeBN}
-                );
+                tx = await contracts.borrowerOperations
+                    .connect(account)
+                    .adjustTrove(
+                        this.ZERO_ADDRESS,
+                        ETHChangeBN,
+                        this._100pct,
+                        0,
+                        DCHFChangeBN,
+                        isDebtIncrease,
+                        upperHint,
+                        lowerHint,
+                        {value: ETHChangeBN}
+                    );
                 // Withdraw ETH from trove
             } else if (ETHChangeBN.lt(zero)) {
-                ETHChangeBN = ETHChangeBN.neg();
-                tx = await contracts.borrowerOperations.adjustTrove(
-                    this._100pct,
-                    ETHChangeBN,
-                    DCHFChangeBN,
-                    isDebtIncrease,
-                    upperHint,
-                    lowerHint,
-                    {from: account}
-                );
+                ETHChangeBN = ETHChangeBN.mul(-1);
+                tx = await contracts.borrowerOperations
+                    .connect(account)
+                    .adjustTrove(
+                        this.ZERO_ADDRESS,
+                        0,
+                        this._100pct,
+                        ETHChangeBN,
+                        DCHFChangeBN,
+                        isDebtIncrease,
+                        upperHint,
+                        lowerHint
+                    );
             }
 
-            const gas = this.gasUsed(tx);
+            const gas = this.gasUsed(await tx.wait());
             gasCostList.push(gas);
         }
         return this.getGasMetrics(gasCostList);
@@ -940,7 +1153,7 @@ class TestHelper {
 
             const {newColl, newDebt} = await this.getCollAndDebtFromAdjustment(
                 contracts,
-                account,
+                account.address,
                 ETHChangeBN,
                 DCHFChangeBN
             );
@@ -953,30 +1166,37 @@ class TestHelper {
 
             // Add ETH to trove
             if (ETHChangeBN.gt(zero)) {
-                tx = await contracts.borrowerOperations.adjustTrove(
-                    this._100pct,
-                    0,
-                    DCHFChangeBN,
-                    isDebtIncrease,
-                    upperHint,
-                    lowerHint,
-                    {from: account, value: ETHChangeBN}
-                );
+                tx = await contracts.borrowerOperations
+                    .connect(account)
+                    .adjustTrove(
+                        this.ZERO_ADDRESS,
+                        ETHChangeBN,
+                        this._100pct,
+                        0,
+                        DCHFChangeBN,
+                        isDebtIncrease,
+                        upperHint,
+                        lowerHint,
+                        {value: ETHChangeBN}
+                    );
                 // Withdraw ETH from trove
             } else if (ETHChangeBN.lt(zero)) {
-                ETHChangeBN = ETHChangeBN.neg();
-                tx = await contracts.borrowerOperations.adjustTrove(
-                    this._100pct,
-                    ETHChangeBN,
-                    DCHFChangeBN,
-                    isDebtIncrease,
-                    lowerHint,
-                    upperHint,
-                    {from: account}
-                );
+                ETHChangeBN = ETHChangeBN.mul(-1);
+                tx = await contracts.borrowerOperations
+                    .connect(account)
+                    .adjustTrove(
+                        this.ZERO_ADDRESS,
+                        0,
+                        this._100pct,
+                        ETHChangeBN,
+                        DCHFChangeBN,
+                        isDebtIncrease,
+                        upperHint,
+                        lowerHint
+                    );
             }
 
-            const gas = this.gasUsed(tx);
+            const gas = this.gasUsed(await tx.wait());
             // console.log(`ETH change: ${ETHChangeBN},  DCHFChange: ${DCHFChangeBN}, gas: ${gas} `)
 
             gasCostList.push(gas);
@@ -987,14 +1207,17 @@ class TestHelper {
     static async addColl_allAccounts(accounts, contracts, amount) {
         const gasCostList = [];
         for (const account of accounts) {
-            const {newColl, newDebt} = await this.getCollAndDebtFromAddColl(contracts, account, amount);
+            const {newColl, newDebt} = await this.getCollAndDebtFromAddColl(
+                contracts,
+                account.address,
+                amount
+            );
             const {upperHint, lowerHint} = await this.getBorrowerOpsListHint(contracts, newColl, newDebt);
 
-            const tx = await contracts.borrowerOperations.addColl(upperHint, lowerHint, {
-                from: account,
-                value: amount,
-            });
-            const gas = this.gasUsed(tx);
+            const tx = await contracts.borrowerOperations
+                .connect(account)
+                .addColl(this.ZERO_ADDRESS, amount, upperHint, lowerHint, {value: amount});
+            const gas = this.gasUsed(await tx.wait());
             gasCostList.push(gas);
         }
         return this.getGasMetrics(gasCostList);
@@ -1007,16 +1230,15 @@ class TestHelper {
 
             const {newColl, newDebt} = await this.getCollAndDebtFromAddColl(
                 contracts,
-                account,
+                account.address,
                 randCollAmount
             );
             const {upperHint, lowerHint} = await this.getBorrowerOpsListHint(contracts, newColl, newDebt);
 
-            const tx = await contracts.borrowerOperations.addColl(upperHint, lowerHint, {
-                from: account,
-                value: randCollAmount,
-            });
-            const gas = this.gasUsed(tx);
+            const tx = await contracts.borrowerOperations
+                .connect(account)
+                .addColl(this.ZERO_ADDRESS, randCollAmount, upperHint, lowerHint, {value: randCollAmount});
+            const gas = this.gasUsed(await tx.wait());
             gasCostList.push(gas);
         }
         return this.getGasMetrics(gasCostList);
@@ -1025,15 +1247,19 @@ class TestHelper {
     static async withdrawColl_allAccounts(accounts, contracts, amount) {
         const gasCostList = [];
         for (const account of accounts) {
-            const {newColl, newDebt} = await this.getCollAndDebtFromWithdrawColl(contracts, account, amount);
+            const {newColl, newDebt} = await this.getCollAndDebtFromWithdrawColl(
+                contracts,
+                account.address,
+                amount
+            );
             // console.log(`newColl: ${newColl} `)
             // console.log(`newDebt: ${newDebt} `)
             const {upperHint, lowerHint} = await this.getBorrowerOpsListHint(contracts, newColl, newDebt);
 
-            const tx = await contracts.borrowerOperations.withdrawColl(amount, upperHint, lowerHint, {
-                from: account,
-            });
-            const gas = this.gasUsed(tx);
+            const tx = await contracts.borrowerOperations
+                .connect(account)
+                .withdrawColl(this.ZERO_ADDRESS, amount, upperHint, lowerHint);
+            const gas = this.gasUsed(await tx.wait());
             gasCostList.push(gas);
         }
         return this.getGasMetrics(gasCostList);
@@ -1047,15 +1273,15 @@ class TestHelper {
 
             const {newColl, newDebt} = await this.getCollAndDebtFromWithdrawColl(
                 contracts,
-                account,
+                account.address,
                 randCollAmount
             );
             const {upperHint, lowerHint} = await this.getBorrowerOpsListHint(contracts, newColl, newDebt);
 
-            const tx = await contracts.borrowerOperations.withdrawColl(randCollAmount, upperHint, lowerHint, {
-                from: account,
-            });
-            const gas = this.gasUsed(tx);
+            const tx = await contracts.borrowerOperations
+                .connect(account)
+                .withdrawColl(this.ZERO_ADDRESS, randCollAmount, upperHint, lowerHint);
+            const gas = this.gasUsed(await tx.wait());
             gasCostList.push(gas);
             // console.log("gasCostlist length is " + gasCostList.length)
         }
@@ -1066,17 +1292,17 @@ class TestHelper {
         const gasCostList = [];
 
         for (const account of accounts) {
-            const {newColl, newDebt} = await this.getCollAndDebtFromWithdrawDCHF(contracts, account, amount);
+            const {newColl, newDebt} = await this.getCollAndDebtFromWithdrawDCHF(
+                contracts,
+                account.address,
+                amount
+            );
             const {upperHint, lowerHint} = await this.getBorrowerOpsListHint(contracts, newColl, newDebt);
 
-            const tx = await contracts.borrowerOperations.withdrawDCHF(
-                this._100pct,
-                amount,
-                upperHint,
-                lowerHint,
-                {from: account}
-            );
-            const gas = this.gasUsed(tx);
+            const tx = await contracts.borrowerOperations
+                .connect(account)
+                .withdrawDCHF(this.ZERO_ADDRESS, this._100pct, amount, upperHint, lowerHint);
+            const gas = this.gasUsed(await tx.wait());
             gasCostList.push(gas);
         }
         return this.getGasMetrics(gasCostList);
@@ -1090,19 +1316,15 @@ class TestHelper {
 
             const {newColl, newDebt} = await this.getCollAndDebtFromWithdrawDCHF(
                 contracts,
-                account,
+                account.address,
                 randDCHFAmount
             );
             const {upperHint, lowerHint} = await this.getBorrowerOpsListHint(contracts, newColl, newDebt);
 
-            const tx = await contracts.borrowerOperations.withdrawDCHF(
-                this._100pct,
-                randDCHFAmount,
-                upperHint,
-                lowerHint,
-                {from: account}
-            );
-            const gas = this.gasUsed(tx);
+            const tx = await contracts.borrowerOperations
+                .connect(account)
+                .withdrawDCHF(this.ZERO_ADDRESS, this._100pct, randDCHFAmount, upperHint, lowerHint);
+            const gas = this.gasUsed(await tx.wait());
             gasCostList.push(gas);
         }
         return this.getGasMetrics(gasCostList);
@@ -1112,13 +1334,17 @@ class TestHelper {
         const gasCostList = [];
 
         for (const account of accounts) {
-            const {newColl, newDebt} = await this.getCollAndDebtFromRepayDCHF(contracts, account, amount);
+            const {newColl, newDebt} = await this.getCollAndDebtFromRepayDCHF(
+                contracts,
+                account.address,
+                amount
+            );
             const {upperHint, lowerHint} = await this.getBorrowerOpsListHint(contracts, newColl, newDebt);
 
-            const tx = await contracts.borrowerOperations.repayDCHF(amount, upperHint, lowerHint, {
-                from: account,
-            });
-            const gas = this.gasUsed(tx);
+            const tx = await contracts.borrowerOperations
+                .connect(account)
+                .repayDCHF(this.ZERO_ADDRESS, amount, upperHint, lowerHint);
+            const gas = this.gasUsed(await tx.wait());
             gasCostList.push(gas);
         }
         return this.getGasMetrics(gasCostList);
@@ -1132,15 +1358,15 @@ class TestHelper {
 
             const {newColl, newDebt} = await this.getCollAndDebtFromRepayDCHF(
                 contracts,
-                account,
+                account.address,
                 randDCHFAmount
             );
             const {upperHint, lowerHint} = await this.getBorrowerOpsListHint(contracts, newColl, newDebt);
 
-            const tx = await contracts.borrowerOperations.repayDCHF(randDCHFAmount, upperHint, lowerHint, {
-                from: account,
-            });
-            const gas = this.gasUsed(tx);
+            const tx = await contracts.borrowerOperations
+                .connect(account)
+                .repayDCHF(this.ZERO_ADDRESS, randDCHFAmount, upperHint, lowerHint);
+            const gas = this.gasUsed(await tx.wait());
             gasCostList.push(gas);
         }
         return this.getGasMetrics(gasCostList);
@@ -1152,7 +1378,7 @@ class TestHelper {
 
         for (const account of accounts) {
             const tx = await functionCaller.troveManager_getCurrentICR(account, price);
-            const gas = this.gasUsed(tx) - 21000;
+            const gas = this.gasUsed(await tx.wait()) - 21000;
             gasCostList.push(gas);
         }
         return this.getGasMetrics(gasCostList);
@@ -1165,7 +1391,7 @@ class TestHelper {
 
         const price = await contracts.priceFeedTestnet.getPrice();
         const tx = await this.performRedemptionTx(redeemer, price, contracts, DCHFAmount, asset, maxFee);
-        const gas = await this.gasUsed(tx);
+        const gas = this.gasUsed(await tx.wait());
         return gas;
     }
 
@@ -1192,13 +1418,14 @@ class TestHelper {
         for (const redeemer of accounts) {
             const randDCHFAmount = this.randAmountInWei(min, max);
 
-            await this.performRedemptionTx(redeemer, price, contracts, randDCHFAmount, asset);
-            const gas = this.gasUsed(tx);
+            const tx = await this.performRedemptionTx(redeemer, price, contracts, randDCHFAmount, asset);
+            const gas = this.gasUsed(await tx.wait());
             gasCostList.push(gas);
         }
         return this.getGasMetrics(gasCostList);
     }
 
+    // The redeemer is a signer
     static async performRedemptionTx(redeemer, price, contracts, DCHFAmount, asset, maxFee = 0) {
         if (!asset) asset = this.ZERO_ADDRESS;
 
@@ -1223,17 +1450,18 @@ class TestHelper {
             approxPartialRedemptionHint
         );
 
-        const tx = await contracts.troveManager.redeemCollateral(
-            asset,
-            DCHFAmount,
-            firstRedemptionHint,
-            exactPartialRedemptionHint[0],
-            exactPartialRedemptionHint[1],
-            partialRedemptionNewICR,
-            0,
-            maxFee,
-            {from: redeemer, gasPrice: 0}
-        );
+        const tx = await contracts.troveManager
+            .connect(redeemer)
+            .redeemCollateral(
+                asset,
+                DCHFAmount,
+                firstRedemptionHint,
+                exactPartialRedemptionHint[0],
+                exactPartialRedemptionHint[1],
+                partialRedemptionNewICR,
+                0,
+                maxFee
+            );
 
         return tx;
     }
@@ -1244,125 +1472,46 @@ class TestHelper {
         let amountFinney = 2000;
 
         for (const account of accounts) {
-            const coll = web3.utils.toWei(amountFinney.toString(), "finney");
-
-            await contracts.borrowerOperations.openTrove(
-                this._100pct,
-                "200000000000000000000",
-                account,
-                account,
-                {from: account, value: coll}
-            );
-
-            amountFinney += 10;
-        }
-    }
-
-    // --- StabilityPool gas functions ---
-
-    static async provideToSP_allAccounts(accounts, stabilityPool, amount) {
-        const gasCostList = [];
-        for (const account of accounts) {
-            const tx = await stabilityPool.provideToSP(amount, this.ZERO_ADDRESS, {from: account});
-            const gas = this.gasUsed(tx);
-            gasCostList.push(gas);
-        }
-        return this.getGasMetrics(gasCostList);
-    }
+            const coll = parseUnits(amountFinney.toString(), "finney");
 
-    static async provideToSP_allAccounts_randomAmount(min, max, accounts, stabilityPool) {
-        const gasCostList = [];
-        for (const account of accounts) {
-            const randomDCHFAmount = this.randAmountInWei(min, max);
-            const tx = await stabilityPool.provideToSP(randomDCHFAmount, this.ZERO_ADDRESS, {from: account});
-            const gas = this.gasUsed(tx);
-            gasCostList.push(gas);
-        }
-        return this.getGasMetrics(gasCostList);
-    }
-
-    static async withdrawFromSP_allAccounts(accounts, stabilityPool, amount) {
-        const gasCostList = [];
-        for (const account of accounts) {
-            const tx = await stabilityPool.withdrawFromSP(amount, {from: account});
-            const gas = this.gasUsed(tx);
-            gasCostList.push(gas);
-        }
-        return this.getGasMetrics(gasCostList);
-    }
-
-    static async withdrawFromSP_allAccounts_randomAmount(min, max, accounts, stabilityPool) {
-        const gasCostList = [];
-        for (const account of accounts) {
-            const randomDCHFAmount = this.randAmountInWei(min, max);
-            const tx = await stabilityPool.withdrawFromSP(randomDCHFAmount, {from: account});
-            const gas = this.gasUsed(tx);
-            gasCostList.push(gas);
-        }
-        return this.getGasMetrics(gasCostList);
-    }
+            const tx = await contracts.borrowerOperations
+                .connect(account)
+                .openTrove(
+                    this.ZERO_ADDRESS,
+                    coll,
+                    this._100pct,
+                    "200000000000000000000",
+                    account.address,
+                    account.address,
+                    {value: coll}
+                );
+            await tx.wait();
 
-    static async withdrawETHGainToTrove_allAccounts(accounts, contracts) {
-        const gasCostList = [];
-        for (const account of accounts) {
-            let {entireColl, entireDebt} = await this.getEntireCollAndDebt(contracts, account);
-            console.log(`entireColl: ${entireColl}`);
-            console.log(`entireDebt: ${entireDebt}`);
-            const AssetGain = await contracts.stabilityPool.getDepositorETHGain(account);
-            const newColl = entireColl.add(AssetGain);
-            const {upperHint, lowerHint} = await this.getBorrowerOpsListHint(contracts, newColl, entireDebt);
-
-            const tx = await contracts.stabilityPool.withdrawETHGainToTrove(upperHint, lowerHint, {
-                from: account,
-            });
-            const gas = this.gasUsed(tx);
-            gasCostList.push(gas);
+            amountFinney += 10;
         }
-        return this.getGasMetrics(gasCostList);
     }
 
     // --- Time functions ---
 
-    static async fastForwardTime(seconds, currentWeb3Provider) {
-        if (web3.utils.isBigNumber(seconds) || web3.utils.isBN(seconds)) seconds = seconds.toNumber();
-
-        await currentWeb3Provider.send(
-            {
-                id: 0,
-                jsonrpc: "2.0",
-                method: "evm_increaseTime",
-                params: [seconds],
-            },
-            (err) => {
-                if (err) console.log(err);
-            }
-        );
+    static async fastForwardTime(seconds) {
+        if (BigNumber.isBigNumber(seconds)) seconds = seconds.toNumber();
 
-        await currentWeb3Provider.send(
-            {
-                id: 0,
-                jsonrpc: "2.0",
-                method: "evm_mine",
-            },
-            (err) => {
-                if (err) console.log(err);
-            }
-        );
+        await network.provider.send("evm_increaseTime", [Number(seconds)]);
+        await network.provider.send("evm_mine");
     }
 
-    static async getLatestBlockTimestamp(web3Instance) {
-        const blockNumber = await web3Instance.eth.getBlockNumber();
-        const block = await web3Instance.eth.getBlock(blockNumber);
+    static async getLatestBlockTimestamp() {
+        const block = await ethers.provider.getBlock("latest");
 
         return block.timestamp;
     }
 
-    static async getTimestampFromTx(tx, web3Instance) {
-        return this.getTimestampFromTxReceipt(tx.receipt, web3Instance);
+    static async getTimestampFromTx(tx) {
+        return this.getTimestampFromTxReceipt(await tx.wait());
     }
 
-    static async getTimestampFromTxReceipt(txReceipt, web3Instance) {
-        const block = await web3Instance.eth.getBlock(txReceipt.blockNumber);
+    static async getTimestampFromTxReceipt(txReceipt) {
+        const block = await ethers.provider.getBlock(txReceipt.blockNumber);
         return block.timestamp;
     }
 
@@ -1374,7 +1523,7 @@ class TestHelper {
         return Number(days) * (60 * 60 * 24);
     }
 
-    static async getTimeFromSystemDeployment(monToken, web3, timePassedSinceDeployment) {
+    static async getTimeFromSystemDeployment(monToken, timePassedSinceDeployment) {
         const deploymentTime = await monToken.getDeploymentStartTime();
         return this.toBN(deploymentTime).add(this.toBN(timePassedSinceDeployment));
     }
@@ -1382,16 +1531,13 @@ class TestHelper {
     // --- Assert functions ---
 
     static async assertRevert(txPromise, message = undefined) {
-        await expectRevert.unspecified(txPromise);
+        if (message) await expect(txPromise).to.be.revertedWith(message);
+        else await expect(txPromise).to.be.reverted;
     }
 
+    // Solidity 0.8 reports failed asserts as a Panic(0x01)
     static async assertAssert(txPromise) {
-        try {
-            const tx = await txPromise;
-            assert.isFalse(tx.receipt.status); // when this assert fails, the expected revert didn't occur, i.e. the tx succeeded
-        } catch (err) {
-            assert.include(err.message, "reverted");
-        }
+        await expect(txPromise).to.be.revertedWithPanic(0x01);
     }
 
     // --- Misc. functions  ---
@@ -1411,13 +1557,13 @@ class TestHelper {
         if (
             typeof param == "number" ||
             typeof param == "object" ||
-            (typeof param == "string" && new RegExp("[0-9]*").test(param))
+            (typeof param == "string" && new RegExp("^(0x[0-9a-fA-F]+|[0-9]+)$").test(param))
         ) {
-            formattedParam = web3.utils.toHex(formattedParam);
+            formattedParam = BigNumber.from(formattedParam).toHexString();
         } else if (typeof param == "boolean") {
             formattedParam = param ? "0x01" : "0x00";
         } else if (param.slice(0, 2) != "0x") {
-            formattedParam = web3.utils.asciiToHex(formattedParam);
+            formattedParam = ethers.utils.hexlify(ethers.utils.toUtf8Bytes(formattedParam));
         }
 
         return this.hexToParam(formattedParam);
@@ -1429,7 +1575,7 @@ class TestHelper {
      console.log('params: ', params.map(p => typeof p))
      */
         return (
-            web3.utils.sha3(signatureString).slice(0, 10) +
+            ethers.utils.id(signatureString).slice(0, 10) +
             params.reduce((acc, p) => acc + this.formatParam(p), "")
         );
     }
@@ -1440,11 +1586,17 @@ TestHelper.maxBytes32 = "0x" + "f".repeat(64);
 TestHelper._100pct = "1000000000000000000";
 TestHelper.latestRandomSeed = 31337;
 
+TestHelper.ICR_TARGETS = {
+    ABOVE_BORROW_MCR: "aboveBorrowMCR",
+    BETWEEN_LIQ_AND_BORROW_MCR: "betweenLiqAndBorrowMCR",
+    LIQUIDATABLE: "liquidatable",
+};
+
+TestHelper.TROVE_ASSET_INDEX = 0;
 TestHelper.TROVE_DEBT_INDEX = 1;
 TestHelper.TROVE_COLL_INDEX = 2;
-TestHelper.TROVE_STAKE_INDEX = 3;
-TestHelper.TROVE_STATUS_INDEX = 4;
-TestHelper.TROVE_ARRAY_INDEX = 5;
+TestHelper.TROVE_STATUS_INDEX = 3;
+TestHelper.TROVE_ARRAY_INDEX = 4;
 
 module.exports = {
     TestHelper,
@@ -0,0 +1,278 @@
+const {ethers} = require("hardhat");
+
+const CONTRACT_NAMES = {
+    sortedTroves: "SortedTroves",
+    troveManager: "TroveManager",
+    activePool: "ActivePool",
+    collSurplusPool: "CollSurplusPool",
+    borrowerOperations: "BorrowerOperations",
+    hintHelpers: "HintHelpers",
+    dfrancParameters: "DfrancParameters",
+    priceFeed: "PriceFeed",
+    adminContract: "AdminContract",
+    multiTroveGetter: "MultiTroveGetter",
+};
+
+const PASS = "PASS";
+const FAIL = "FAIL";
+// The deployed bytecode predates the getter of the reference
+const NOT_EXPOSED = "N/A";
+
+// Getters of ours that older deployed bytecode lacks: FeeContract and BurnContract hard-coded their tokens
+// in internal constants before taking them as constructor arguments
+const OPTIONAL_GETTERS = ["feeContract.dchfToken", "feeContract.MON", "burnContract.MON"];
+
+// Storage slots of the references held in private variables. Ownable keeps _owner in slot 0, which
+// AdminContract packs with isInitialized, and DfrancBase its dfrancParams in slot 1.
+const STORAGE_SLOTS = {
+    troveManager: {collSurplusPool: 4},
+    borrowerOperations: {collSurplusPool: 4},
+    adminContract: {
+        dfrancParameters: 1,
+        borrowerOperations: 2,
+        troveManager: 3,
+        dchfToken: 4,
+        sortedTroves: 5,
+    },
+};
+
+// Checks on-chain that every contract of a deployment output points to the other contracts of that output
+class WiringVerifier {
+    constructor(deploymentState, configParams) {
+        this.deploymentState = deploymentState;
+        this.configParams = configParams;
+        this.contracts = {};
+        this.results = [];
+    }
+
+    async run() {
+        await this.loadContracts();
+        const c = this.contracts;
+        const addresses = this.addresses;
+
+        await this.checkAddress("troveManager", "sortedTroves", () => c.troveManager.sortedTroves());
+        await this.checkStorage("troveManager", "collSurplusPool");
+        await this.checkAddress("troveManager", "dfrancParameters", () => c.troveManager.dfrancParams());
+        await this.checkAddress("troveManager", "borrowerOperations", () =>
+            c.troveManager.borrowerOperationsAddress()
+        );
+        await this.checkAddress("troveManager", "dchfToken", () => c.troveManager.dchfToken());
+        await this.checkAddress("troveManager", "feeContract", () => c.troveManager.feeContractAddress());
+
+        await this.checkAddress("borrowerOperations", "troveManager", () =>
+            c.borrowerOperations.troveManager()
+        );
+        await this.checkAddress("borrowerOperations", "sortedTroves", () =>
+            c.borrowerOperations.sortedTroves()
+        );
+        await this.checkStorage("borrowerOperations", "collSurplusPool");
+        await this.checkAddress("borrowerOperations", "dfrancParameters", () =>
+            c.borrowerOperations.dfrancParams()
+        );
+        await this.checkAddress("borrowerOperations", "dchfToken", () => c.borrowerOperations.DCHFToken());
+        await this.checkAddress("borrowerOperations", "feeContract", () =>
+            c.borrowerOperations.feeContractAddress()
+        );
+
+        await this.checkAddress("activePool", "borrowerOperations", () =>
+            c.activePool.borrowerOperationsAddress()
+        );
+        await this.checkAddress("activePool", "troveManager", () => c.activePool.troveManagerAddress());
+        await this.checkAddress("activePool", "collSurplusPool", () => c.activePool.collSurplusPool());
+
+        await this.checkAddress("collSurplusPool", "borrowerOperations", () =>
+            c.collSurplusPool.borrowerOperationsAddress()
+        );
+        await this.checkAddress("collSurplusPool", "troveManager", () =>
+            c.collSurplusPool.troveManagerAddress()
+        );
+        await this.checkAddress("collSurplusPool", "activePool", () => c.collSurplusPool.activePoolAddress());
+
+        await this.checkAddress("sortedTroves", "troveManager", () => c.sortedTroves.troveManager());
+        await this.checkAddress("sortedTroves", "borrowerOperations", () =>
+            c.sortedTroves.borrowerOperationsAddress()
+        );
+
+        await this.checkAddress("hintHelpers", "sortedTroves", () => c.hintHelpers.sortedTroves());
+        await this.checkAddress("hintHelpers", "troveManager", () => c.hintHelpers.troveManager());
+        await this.checkAddress("hintHelpers", "dfrancParameters", () => c.hintHelpers.dfrancParams());
+
+        await this.checkAddress("dfrancParameters", "activePool", () => c.dfrancParameters.activePool());
+        await this.checkAddress("dfrancParameters", "priceFeed", () => c.dfrancParameters.priceFeed());
+        await this.checkAddress("dfrancParameters", "adminContract", () =>
+            c.dfrancParameters.adminContract()
+        );
+
+        for (const reference of Object.keys(STORAGE_SLOTS.adminContract)) {
+            await this.checkStorage("adminContract", reference);
+        }
+
+        await this.checkAddress("priceFeed", "adminContract", () => c.priceFeed.adminContract());
+
+        if (c.multiTroveGetter) {
+            await this.checkAddress("multiTroveGetter", "troveManager", () =>
+                c.multiTroveGetter.troveManager()
+            );
+            await this.checkAddress("multiTroveGetter", "sortedTroves", () =>
+                c.multiTroveGetter.sortedTroves()
+            );
+        }
+
+        if (this.addresses.burnContract) {
+            const feeContract = await ethers.getContractAt("FeeContract", this.addresses.feeContract);
+            await this.checkAddress("feeContract", "burnContract", () => feeContract.burnContract());
+            await this.checkAddress("feeContract", "dchfToken", () => feeContract.DCHF());
+
+            // Both were deployed with the MON_TOKEN of the params, or the stand-in of deployBuybackMocks
+            const MON = (this.configParams.externalAddrs || {}).MON_TOKEN || this.addresses.buybackMonToken;
+            const burnContract = await ethers.getContractAt("BurnContract", this.addresses.burnContract);
+            await this.check("feeContract", "MON", MON, () => feeContract.MON());
+            await this.check("burnContract", "MON", MON, () => burnContract.MON());
+        }
+
+        await this.checkTrue("dchfToken", "validTroveManagers(troveManager)", () =>
+            c.dchfToken.validTroveManagers(addresses.troveManager)
+        );
+        await this.checkTrue("dchfToken", "validBorrowerOps(borrowerOperations)", () =>
+            c.dchfToken.validBorrowerOps(addresses.borrowerOperations)
+        );
+
+        for (const collateral of this.configParams.collaterals || []) {
+            const registeredOracle = () => c.priceFeed.registeredOracles(collateral.asset);
+
+            await this.checkTrue("priceFeed", `${collateral.name} isRegistered`, async () => {
+                return (await registeredOracle()).isRegistered;
+            });
+            await this.checkAddress(
+                "priceFeed",
+                `${collateral.name} oracle`,
+                async () => {
+                    return (await registeredOracle()).oracle;
+                },
+                collateral.oracle
+            );
+            await this.check(
+                "priceFeed",
+                `${collateral.name} chainLinkForex`,
+                collateral.chainlinkForex,
+                async () => {
+                    return (await registeredOracle()).chainLinkForex;
+                }
+            );
+        }
+
+        return this.results;
+    }
+
+    async loadContracts() {
+        const state = this.deploymentState;
+        const externalAddrs = this.configParams.externalAddrs || {};
+
+        this.addresses = {};
+        this.code = {};
+        for (const name of Object.keys(state)) {
+            if (state[name].address) this.addresses[name] = state[name].address;
+        }
+        this.addresses.dchfToken = state.DCHFToken ? state.DCHFToken.address : externalAddrs.DCHF_TOKEN;
+        if (!this.addresses.feeContract) this.addresses.feeContract = externalAddrs.FEE_CONTRACT;
+
+        for (const [name, contractName] of Object.entries(CONTRACT_NAMES)) {
+            if (!this.addresses[name]) {
+                if (name == "multiTroveGetter") continue;
+                throw `${name} is missing from the deployment output`;
+            }
+            this.contracts[name] = await ethers.getContractAt(contractName, this.addresses[name]);
+        }
+        this.contracts.dchfToken = await ethers.getContractAt("DCHFToken", this.addresses.dchfToken);
+    }
+
+    // --- Checks ---
+
+    async checkAddress(contract, reference, read, expectedName = reference) {
+        await this.check(contract, reference, this.addresses[expectedName], read);
+    }
+
+    async checkTrue(contract, reference, read) {
+        await this.check(contract, reference, true, read);
+    }
+
+    // Reads a reference without getter from its storage slot. A slot that does not hold an address fails.
+    async checkStorage(contract, reference) {
+        const expected = this.addresses[reference];
+        const slot = STORAGE_SLOTS[contract][reference];
+        let actual;
+        try {
+            if (!(await this.hasCode(contract))) {
+                actual = `no code at ${this.addresses[contract]}`;
+            } else {
+                const word = await ethers.provider.getStorageAt(this.addresses[contract], slot);
+                actual = ethers.BigNumber.from(word).shr(160).isZero()
+                    ? ethers.utils.getAddress(ethers.utils.hexDataSlice(word, 12))
+                    : `slot ${slot} holds ${word}`;
+            }
+        } catch (error) {
+            actual = `slot ${slot} unreadable: ${error.message || error}`;
+        }
+
+        this.push(contract, reference, expected, actual, sameValue(actual, expected) ? PASS : FAIL);
+    }
+
+    // A revert fails the check, unless the getter is optional and the contract exists
+    async check(contract, reference, expected, read) {
+        let actual;
+        let result;
+        try {
+            actual = await read();
+            result = sameValue(actual, expected) ? PASS : FAIL;
+        } catch (error) {
+            if (error.code != "CALL_EXCEPTION") throw error;
+            if (!(await this.hasCode(contract))) {
+                actual = `no code at ${this.addresses[contract]}`;
+                result = FAIL;
+            } else if (OPTIONAL_GETTERS.includes(`${contract}.${reference}`)) {
+                actual = "no getter";
+                result = NOT_EXPOSED;
+            } else {
+                actual = "call reverted";
+                result = FAIL;
+            }
+        }
+
+        this.push(contract, reference, expected, actual, result);
+    }
+
+    push(contract, reference, expected, actual, result) {
+        this.results.push({contract, reference, expected: String(expected), actual: String(actual), result});
+    }
+
+    async hasCode(contract) {
+        const address = this.addresses[contract];
+        if (this.code[address] === undefined) {
+            this.code[address] = (await ethers.provider.getCode(address)) != "0x";
+        }
+        return this.code[address];
+    }
+
+    static printResults(results) {
+        console.table(results);
+
+        const failed = results.filter((row) => row.result == FAIL).length;
+        const notExposed = results.filter((row) => row.result == NOT_EXPOSED).length;
+        console.log(
+            `${
+                results.length - failed - notExposed
+            } passed, ${failed} failed, ${notExposed} not exposed by the deployed bytecode`
+        );
+
+        return failed == 0;
+    }
+}
+
+function sameValue(actual, expected) {
+    if (typeof expected == "string" && typeof actual == "string") {
+        return actual.toLowerCase() == expected.toLowerCase();
+    }
+    return actual === expected;
+}
+
+module.exports = WiringVerifier;
@@ -8,6 +8,22 @@ require("@openzeppelin/hardhat-upgrades");
 require("hardhat-contract-sizer");
 // require('@openzeppelin/hardhat-defender');
 
+require("./tasks/deploy");
+require("./tasks/checkWiring");
+require("./tasks/localFixture");
+require("./tasks/liquidationKeeper");
+require("./tasks/simulateLiquidation");
+require("./tasks/redeem");
+require("./tasks/exportSnapshot");
+require("./tasks/indexEvents");
+require("./tasks/parameters");
+require("./tasks/safeBatch");
+require("./tasks/onboardCollateral");
+require("./tasks/buybackKeeper");
+require("./tasks/feeReport");
+require("./tasks/priceFeedMonitor");
+require("./tasks/priceFeedScenarios");
+
 const accounts = require("./hardhatAccountsList2k.js");
 const accountsList = accounts.accountsList;
 
@@ -24,6 +40,27 @@ const getSecret = (secretKey, defaultValue = "") => {
 
     return secret;
 };
+
+// Environment variables take precedence over secrets.js
+const getSetting = (key, defaultValue = "") => process.env[key] || getSecret(key, defaultValue);
+
+// A network whose private key is not configured gets no account instead of failing the config validation
+const accountsFromSecret = (secretKey) => {
+    const privateKey = getSecret(secretKey);
+    return privateKey ? [privateKey] : [];
+};
+
+// The in-process network runs offline unless FORK=true, then it forks FORK_RPC_URL at FORK_BLOCK_NUMBER
+const hardhatForking = () => {
+    if (process.env.FORK !== "true") return undefined;
+
+    const url = getSetting("FORK_RPC_URL");
+    if (!url) throw new Error("FORK=true needs FORK_RPC_URL, in the environment or in secrets.js");
+
+    const blockNumber = getSetting("FORK_BLOCK_NUMBER");
+    return blockNumber ? {url, blockNumber: parseInt(blockNumber)} : {url};
+};
+
 const alchemyUrl = () => {
     return `https://eth-mainnet.alchemyapi.io/v2/${getSecret("alchemyAPIKey")}`;
 };
@@ -76,9 +113,9 @@ module.exports = {
             blockGasLimit: 150000000,
             gasPrice: 20000000000,
             hardfork: "london",
-            forking: {
-                url: "https://mainnet.infura.io/v3/9aa3d95b3bc440fa88ea12eaa4456161",
-            },
+            forking: hardhatForking(),
+            // A fork keeps the mainnet chain id, which the localhost network expects
+            chainId: process.env.FORK === "true" ? 1 : 31337,
         },
         localhost: {
             chainId: 1,
@@ -86,19 +123,25 @@ module.exports = {
             allowUnlimitedContractSize: true,
             timeout: 1000 * 60,
         },
+        // The same node without fork, deployed with the mock-backed local params
+        local: {
+            url: "http://127.0.0.1:8545/",
+            allowUnlimitedContractSize: true,
+            timeout: 1000 * 60,
+        },
         mainnet: {
             url: "https://mainnet.infura.io/v3/9aa3d95b3bc440fa88ea12eaa4456161",
-            accounts: [getSecret("DEPLOYER_PRIVATEKEY")],
+            accounts: accountsFromSecret("DEPLOYER_PRIVATEKEY"),
         },
         goerli: {
             url: 'https://goerli.infura.io/v3/9aa3d95b3bc440fa88ea12eaa4456161',
             chainId: 5,
-            accounts: [getSecret("RINKEBY_PRIVATE_KEY")],
+            accounts: accountsFromSecret("RINKEBY_PRIVATE_KEY"),
             allowUnlimitedContractSize: true,
         },
         rinkeby: {
             url: 'https://rinkeby.infura.io/v3/9aa3d95b3bc440fa88ea12eaa4456161',
-            accounts: [getSecret("RINKEBY_PRIVATE_KEY")],
+            accounts: accountsFromSecret("RINKEBY_PRIVATE_KEY"),
         },
         fork: {
             url: "http://localhost:7545",
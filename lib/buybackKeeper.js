@@ -0,0 +1,283 @@
+const fs = require("fs");
+const path = require("path");
+const {ethers} = require("hardhat");
+
+const PollingLoop = require("./pollingLoop.js");
+const SafeBatch = require("./safeBatch.js");
+
+const {BigNumber} = ethers;
+
+// Addresses of the FeeContracts deployed before they were constructor parameters, which do not expose them
+const FEE_CONTRACT_CONSTANTS = {
+    ethOracle: "0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419",
+    chfOracle: "0x449d117117838fFA61263B61dA6301AA2a88B13A",
+    uniPool: "0x21f396Dd37a26D7754C513fD916D07F66Aa6B81E",
+    weth: "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2",
+    MON: "0x1EA48B9965bb5086F3b468E50ED93888a661fc17",
+};
+// FeeContract._uniV3SwapToMON quotes the minimum MON at the average tick of the last 120 seconds
+const TWAP_INTERVAL = 120;
+const DENOMINATOR = 10000;
+// FeeContract.optimal: 1 is DAI, 2 is USDC and 3 is USDT
+const STABLES = {
+    1: {name: "DAI", decimals: 18},
+    2: {name: "USDC", decimals: 6},
+    3: {name: "USDT", decimals: 6},
+};
+
+const ORACLE_ABI = ["function latestAnswer() view returns (uint256)"];
+const UNI_POOL_ABI = [
+    "function token0() view returns (address)",
+    "function observe(uint32[] secondsAgos) view returns (int56[] tickCumulatives, uint160[])",
+];
+const ERC20_ABI = ["function balanceOf(address) view returns (uint256)"];
+
+/*
+ * Buys back and burns MON with the DCHF fees held by FeeContract: DCHF -> stable on Curve, then
+ * stable -> WETH -> MON on Uniswap V3. A round quotes both legs with the bounds FeeContract sends them with,
+ * and buys back when the balance is large enough, the spot MON price is close to the TWAP the minimum output
+ * is quoted at, and the call succeeds from the owner. executePurchaseMON is onlyOwner: the keeper sends it
+ * when it is the owner, and otherwise writes a Safe Transaction Builder batch, once per buyback.
+ */
+class BuybackKeeper {
+    constructor(contracts, signer, options = {}) {
+        this.contracts = contracts;
+        this.signer = signer;
+        this.options = {
+            // DCHF balance below which FeeContract is left to accumulate fees
+            minDCHF: ethers.utils.parseEther("1000"),
+            // Max gap between the spot MON price and its TWAP, in bps
+            maxTwapDeviation: 200,
+            // Directory of the Safe batches, when the keeper is not the owner
+            proposalDir: "./buybacks",
+            // First block searched for BuybackMON events, defaults to the block at start
+            fromBlock: undefined,
+            dryRun: false,
+            ...options,
+        };
+    }
+
+    async load() {
+        const provider = this.signer.provider;
+
+        this.feeContract = this.contracts.feeContract.connect(this.signer);
+        const addresses = await this.getAddresses();
+        this.dchf = new ethers.Contract(this.contracts.dchfToken, ERC20_ABI, provider);
+        this.ethOracle = new ethers.Contract(addresses.ethOracle, ORACLE_ABI, provider);
+        this.chfOracle = new ethers.Contract(addresses.chfOracle, ORACLE_ABI, provider);
+        this.uniPool = new ethers.Contract(addresses.uniPool, UNI_POOL_ABI, provider);
+        this.wethIsToken0 = (await this.uniPool.token0()).toLowerCase() == addresses.weth.toLowerCase();
+
+        this.lastBlock =
+            this.options.fromBlock !== undefined
+                ? this.options.fromBlock - 1
+                : await provider.getBlockNumber();
+        this.proposedAt = undefined;
+    }
+
+    // The oracles, pool and tokens FeeContract swaps with
+    async getAddresses() {
+        const addresses = {};
+        try {
+            for (const name of Object.keys(FEE_CONTRACT_CONSTANTS)) {
+                addresses[name] = await this.feeContract[name]();
+            }
+        } catch (error) {
+            if (error.code != "CALL_EXCEPTION") throw error;
+            return FEE_CONTRACT_CONSTANTS;
+        }
+        return addresses;
+    }
+
+    async start(intervalSeconds) {
+        this.loop = new PollingLoop(
+            () => this.runOnce(),
+            (error) => console.error(`Keeper round failed: ${error.message || error}`)
+        );
+        await this.loop.start(intervalSeconds);
+    }
+
+    stop() {
+        if (this.loop) this.loop.stop();
+    }
+
+    async runOnce() {
+        if (!this.feeContract) await this.load();
+
+        await this.logBuybacks();
+
+        const quote = await this.quote();
+        const stable = STABLES[quote.optimal];
+        const stableOut = ethers.utils.formatUnits(quote.stableOut, stable.decimals);
+        const curveMinOut = ethers.utils.formatUnits(quote.curveMinOut, stable.decimals);
+        console.log(
+            `FeeContract holds ${ethers.utils.formatEther(quote.DCHFBalance)} DCHF, ` +
+                `worth ${stableOut} ${stable.name} on Curve (min ${curveMinOut})`
+        );
+        console.log(
+            `${ethers.utils.formatEther(quote.MONAtSpot)} MON at ${ethers.utils.formatEther(
+                quote.spotPrice
+            )} ` +
+                `USD, min ~${quote.MONMin.toFixed(2)} at the TWAP of ~${quote.twapPrice.toPrecision(
+                    6
+                )} USD, ` +
+                `spot ${quote.twapDeviation.toFixed(0)} bps from the TWAP`
+        );
+
+        const reason = this.checkQuote(quote);
+        if (reason) {
+            console.log(`No buyback: ${reason}`);
+            return {executed: false, reason, quote};
+        }
+        if (this.proposedAt !== undefined) {
+            console.log(`No buyback: the batch prepared at block ${this.proposedAt} is not executed yet`);
+            return {executed: false, reason: "pending proposal", quote};
+        }
+
+        const owner = await this.feeContract.owner();
+        try {
+            // From the provider, a signer refuses to call from another address
+            await this.feeContract.connect(this.signer.provider).callStatic.executePurchaseMON({from: owner});
+        } catch (error) {
+            const reason = `executePurchaseMON reverts: ${error.reason || error.message || error}`;
+            console.log(`No buyback: ${reason}`);
+            return {executed: false, reason, quote};
+        }
+
+        if (this.options.dryRun) {
+            console.log("Buyback conditions met, dry run");
+            return {executed: false, quote};
+        }
+
+        if (owner.toLowerCase() != this.signer.address.toLowerCase()) {
+            const file = await this.propose(owner);
+            console.log(`FeeContract is owned by ${owner}, buyback batch written to ${file}`);
+            return {executed: false, proposal: file, quote};
+        }
+
+        const tx = await this.feeContract.executePurchaseMON();
+        const receipt = await tx.wait();
+        const event = receipt.events.find((e) => e.event == "BuybackMON");
+        console.log(`Bought back ${event && ethers.utils.formatEther(event.args.amount)} MON in ${tx.hash}`);
+        return {executed: true, txHash: tx.hash, quote};
+    }
+
+    /*
+     * Both legs as FeeContract sends them: the Curve minimum is the DCHF balance at the Chainlink CHF price
+     * less slippageMax, and the Uniswap minimum the MON quoted at the TWAP tick for the ETH the stable is
+     * worth at the Chainlink price, less slippageMax. The spot MON price is getCurrentUniV3Price, the TWAP
+     * one and the minimum are estimates from the average tick, as floats.
+     */
+    async quote() {
+        const {feeContract} = this;
+
+        const optimal = (await feeContract.optimal()).toNumber();
+        const slippageMax = await feeContract.slippageMax();
+        const stable = STABLES[optimal];
+        const DCHFBalance = await this.dchf.balanceOf(feeContract.address);
+        const stableOut = await feeContract.valueOfDCHF(optimal);
+
+        // Chainlink prices have 8 decimals, the stable has 6 or 18
+        const chfPrice = await this.chfOracle.latestAnswer();
+        const ethPrice = await this.ethOracle.latestAnswer();
+        const stableScale = BigNumber.from(10).pow(26 - stable.decimals);
+        const curveMinOut = DCHFBalance.mul(chfPrice).mul(slippageMax).div(DENOMINATOR).div(stableScale);
+        const ethExpected = stableOut.mul(stableScale).div(ethPrice).mul(slippageMax).div(DENOMINATOR);
+
+        // USD prices of MON, the spot one in 1e18 precision. FeeContract values the stable at 1 USD too.
+        const spotPrice = this.getSpotMONPrice(await feeContract.getCurrentUniV3Price(), ethPrice);
+        const [tickCumulatives] = await this.uniPool.observe([TWAP_INTERVAL, 0]);
+        const twapTick = tickCumulatives[1].sub(tickCumulatives[0]).div(TWAP_INTERVAL).toNumber();
+        const twapPrice = this.getMONPriceAtTick(twapTick, ethPrice);
+        const stableValue = stableOut.mul(BigNumber.from(10).pow(18 - stable.decimals));
+
+        return {
+            optimal,
+            DCHFBalance,
+            stableOut,
+            curveMinOut,
+            spotPrice,
+            twapPrice,
+            MONAtSpot: stableValue.mul(ethers.constants.WeiPerEther).div(spotPrice),
+            MONMin: (Number(ethers.utils.formatEther(ethExpected)) * Number(ethPrice)) / 1e8 / twapPrice,
+            twapDeviation:
+                Math.abs(Number(ethers.utils.formatEther(spotPrice)) / twapPrice - 1) * DENOMINATOR,
+        };
+    }
+
+    // Returns why the quote does not allow a buyback, if it does not
+    checkQuote(quote) {
+        if (quote.DCHFBalance.lt(this.options.minDCHF)) {
+            return `balance below ${ethers.utils.formatEther(this.options.minDCHF)} DCHF`;
+        }
+        if (quote.stableOut.lt(quote.curveMinOut)) return "the Curve quote is below the slippage bound";
+        if (quote.twapDeviation > this.options.maxTwapDeviation) {
+            return `the spot MON price is more than ${this.options.maxTwapDeviation} bps from the TWAP`;
+        }
+        if (Number(ethers.utils.formatEther(quote.MONAtSpot)) < quote.MONMin) {
+            return "the spot MON output is below the TWAP minimum";
+        }
+    }
+
+    /*
+     * getCurrentUniV3Price is the price of token0 in token1 at the Chainlink ETH price: the MON price when
+     * MON is token0, like on mainnet, else the MON a WETH buys times the ETH price, which is inverted here
+     */
+    getSpotMONPrice(price, ethPrice) {
+        if (price.isZero()) throw "getCurrentUniV3Price is 0, the MON/WETH pool has no price";
+        if (!this.wethIsToken0) return price;
+        return ethPrice.mul(ethPrice).mul(BigNumber.from(10).pow(20)).div(price);
+    }
+
+    // USD price of MON at a tick of the pool, 1.0001^tick being the price of token0 in token1
+    getMONPriceAtTick(tick, ethPrice) {
+        const ethPerMON = Math.pow(1.0001, this.wethIsToken0 ? -tick : tick);
+        return (ethPerMON * Number(ethPrice)) / 1e8;
+    }
+
+    async propose(owner) {
+        const {chainId} = await this.signer.provider.getNetwork();
+        const block = await this.signer.provider.getBlockNumber();
+
+        const batch = new SafeBatch({feeContract: this.feeContract}, owner);
+        batch.add({type: "call", contract: "feeContract", method: "executePurchaseMON"});
+        const json = batch.build(chainId, `MON buyback at block ${block}`, "FeeContract.executePurchaseMON");
+
+        const file = path.resolve(this.options.proposalDir, `buyback-${chainId}-${block}.safe.json`);
+        fs.mkdirSync(path.dirname(file), {recursive: true});
+        fs.writeFileSync(file, JSON.stringify(json, null, 2));
+        this.proposedAt = block;
+        return file;
+    }
+
+    // Logs the BuybackMON events since the last round and the MON burnt to date
+    async logBuybacks() {
+        const {feeContract} = this;
+        const latest = await this.signer.provider.getBlockNumber();
+        const events =
+            latest > this.lastBlock
+                ? await feeContract.queryFilter(feeContract.filters.BuybackMON(), this.lastBlock + 1, latest)
+                : [];
+        for (const event of events) {
+            const date = new Date(event.args.timestamp.toNumber() * 1000).toISOString();
+            const amount = ethers.utils.formatEther(event.args.amount);
+            console.log(`BuybackMON ${date}: ${amount} MON (${event.transactionHash})`);
+        }
+        this.lastBlock = latest;
+
+        // A buyback executes the pending batch, or makes it moot
+        if (events.length > 0) this.proposedAt = undefined;
+
+        if (events.length > 0 || !this.totalLogged) {
+            try {
+                const burnt = await feeContract.totalMONBurnt();
+                console.log(`Total MON burnt: ${ethers.utils.formatEther(burnt)}`);
+            } catch (error) {
+                console.log("Total MON burnt: unknown, FeeContract has no burn contract");
+            }
+            this.totalLogged = true;
+        }
+    }
+}
+
+module.exports = BuybackKeeper;
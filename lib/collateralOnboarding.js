@@ -0,0 +1,138 @@
+const {ethers} = require("hardhat");
+
+const ParameterManager = require("./parameterManager.js");
+
+/*
+ * Adds a collateral from a spec: an entry of the collaterals of the network params (name, asset, oracle,
+ * chainlinkForex, redemptionSafety), with oracleContract and oracleArgs to deploy the oracle when the
+ * deployment output has none, and parameters, the DfrancParameters overrides in the units of params:set.
+ * The oracle is deployed and recorded through the DeploymentHelper, so an interrupted run picks it up.
+ */
+class CollateralOnboarding {
+    constructor(helper, contracts, deploymentState) {
+        this.helper = helper;
+        this.contracts = contracts;
+        this.deploymentState = deploymentState;
+        this.parameters = new ParameterManager(contracts.dfrancParameters, helper.deployerWallet);
+    }
+
+    // Checks the spec without sending anything, and returns the steps run() would take
+    async plan(spec) {
+        const {priceFeed, adminContract} = this.contracts;
+        for (const field of ["name", "asset", "oracle", "chainlinkForex"]) {
+            if (!spec[field]) throw `The collateral spec has no ${field}`;
+        }
+        if (!ethers.utils.isAddress(spec.asset)) throw `asset ${spec.asset} is not an address`;
+        if (!ethers.utils.isAddress(spec.chainlinkForex)) {
+            throw `chainlinkForex ${spec.chainlinkForex} is not an address`;
+        }
+
+        const steps = [];
+        const oracle = this.getOracleAddress(spec);
+        if (!oracle) {
+            if (!spec.oracleContract) {
+                throw `No ${spec.oracle} in the deployment output, set oracleContract to deploy it`;
+            }
+            steps.push(
+                `Deploy ${spec.oracleContract} as ${spec.oracle}, ${JSON.stringify(spec.oracleArgs || [])}`
+            );
+        }
+
+        const registered = await priceFeed.registeredOracles(spec.asset);
+        if (registered.isRegistered) {
+            if (oracle && registered.oracle.toLowerCase() != oracle.toLowerCase()) {
+                throw `${spec.name} is registered with the oracle ${registered.oracle}, not ${oracle}`;
+            }
+        } else {
+            const owner = await adminContract.owner();
+            if (owner.toLowerCase() != this.helper.deployerWallet.address.toLowerCase()) {
+                throw `AdminContract is owned by ${owner}, use safe-batch with an addCollateral action`;
+            }
+            const args = [spec.asset, oracle || spec.oracle, spec.chainlinkForex, spec.redemptionSafety];
+            steps.push(`AdminContract.addNewCollateral(${args.join(", ")})`);
+        }
+
+        // Checked against the bounds here, and against the current values once the collateral is added
+        for (const [name, value] of Object.entries(spec.parameters || {})) {
+            ParameterManager.parseValue(name, value);
+            steps.push(`DfrancParameters ${name} = ${value}`);
+        }
+        return {steps, registered: registered.isRegistered};
+    }
+
+    async run(spec) {
+        const {adminContract} = this.contracts;
+        const {registered} = await this.plan(spec);
+        const gasPrice = this.helper.configParams.GAS_PRICE;
+
+        let oracle = this.getOracleAddress(spec);
+        if (!oracle) {
+            const factory = await this.helper.getFactory(spec.oracleContract);
+            const contract = await this.helper.loadOrDeploy(
+                factory,
+                spec.oracle,
+                this.deploymentState,
+                false,
+                spec.oracleArgs || []
+            );
+            oracle = contract.address;
+            if (this.helper.configParams.ETHERSCAN_BASE_URL) {
+                await this.helper.verifyContract(spec.oracle, this.deploymentState, spec.oracleArgs || []);
+            }
+        }
+
+        // Adding a collateral twice would reset its parameters to the defaults
+        if (registered) {
+            console.log(`${spec.name} is already a collateral`);
+        } else {
+            console.log(`Adding ${spec.name} as new collateral`);
+            await this.helper.sendAndWaitForTransaction(
+                adminContract.addNewCollateral(
+                    spec.asset,
+                    oracle,
+                    spec.chainlinkForex,
+                    spec.redemptionSafety,
+                    {gasPrice}
+                )
+            );
+        }
+
+        const plan = await this.parameters.plan(spec.asset, spec.parameters || {});
+        if (plan.calls.length > 0) await this.parameters.apply(plan);
+
+        return this.verify(spec, oracle);
+    }
+
+    // Reads back the collateral: configured in DfrancParameters, registered in PriceFeed, with the overrides
+    async verify(spec, oracle) {
+        const {priceFeed, dfrancParameters} = this.contracts;
+        const errors = [];
+
+        if (!(await dfrancParameters.sanitizeParameters(spec.asset))) {
+            errors.push("not configured in DfrancParameters");
+        }
+        const registered = await priceFeed.registeredOracles(spec.asset);
+        if (!registered.isRegistered || registered.oracle.toLowerCase() != oracle.toLowerCase()) {
+            errors.push(`registered in PriceFeed with the oracle ${registered.oracle}, not ${oracle}`);
+        }
+
+        const values = await this.parameters.read(spec.asset);
+        for (const [name, input] of Object.entries(spec.parameters || {})) {
+            const {value} = ParameterManager.parseValue(name, input);
+            if (!values[name].eq(value)) {
+                errors.push(`${name} is ${ParameterManager.format(name, values[name])}, not ${input}`);
+            }
+        }
+
+        if (errors.length > 0) throw `${spec.name}: ${errors.join(", ")}`;
+        return values;
+    }
+
+    getOracleAddress(spec) {
+        if (ethers.utils.isAddress(spec.oracle)) return spec.oracle;
+        const entry = this.deploymentState[spec.oracle];
+        return entry && entry.address;
+    }
+}
+
+module.exports = CollateralOnboarding;
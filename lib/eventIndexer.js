@@ -0,0 +1,340 @@
+const {ethers} = require("hardhat");
+
+const PollingLoop = require("./pollingLoop.js");
+
+// Indexed events, by the deployment output entry of the contract emitting them
+const EVENTS = {
+    borrowerOperations: [
+        "event TroveCreated(address indexed _asset, address indexed _borrower, uint256 arrayIndex)",
+        "event TroveUpdated(address indexed _asset, address indexed _borrower, uint256 _debt, uint256 _coll, uint8 operation)",
+        "event DCHFBorrowingFeePaid(address indexed _asset, address indexed _borrower, uint256 _DCHFFee)",
+    ],
+    troveManager: [
+        "event TroveUpdated(address indexed _asset, address indexed _borrower, uint256 _debt, uint256 _coll, uint8 _operation)",
+        "event Liquidation(address indexed _asset, uint256 _liquidatedDebt, uint256 _liquidatedColl, uint256 _protocolCompensation)",
+        "event TroveLiquidated(address indexed _asset, address indexed _borrower, uint256 _debt, uint256 _coll, uint8 _operation)",
+        "event Redemption(address indexed _asset, uint256 _attemptedMONmount, uint256 _actualMONmount, uint256 _AssetSent, uint256 _AssetFee)",
+        "event BaseRateUpdated(address indexed _asset, uint256 _baseRate)",
+    ],
+    collSurplusPool: ["event CollBalanceUpdated(address indexed _account, uint256 _newBalance)"],
+};
+
+// BorrowerOperations.BorrowerOperation and ITroveManager.TroveManagerOperation
+const OPERATIONS = {
+    borrowerOperations: ["openTrove", "closeTrove", "adjustTrove"],
+    troveManager: ["liquidateInNormalMode", "redeemCollateral"],
+};
+
+// Every event row also has block_number, tx_hash and log_index. Amounts are decimal strings, as they overflow
+// SQLite integers. blocks keeps the hash of the blocks with events and of the checkpoint, to detect reorgs.
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS checkpoint (
+    id INTEGER PRIMARY KEY CHECK (id = 1),
+    block_number INTEGER NOT NULL,
+    block_hash TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS blocks (
+    block_number INTEGER PRIMARY KEY,
+    block_hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL
+);
+CREATE TABLE IF NOT EXISTS trove_created (
+    block_number INTEGER NOT NULL, tx_hash TEXT NOT NULL, log_index INTEGER NOT NULL,
+    asset TEXT NOT NULL, borrower TEXT NOT NULL, array_index INTEGER NOT NULL,
+    PRIMARY KEY (tx_hash, log_index)
+);
+CREATE TABLE IF NOT EXISTS trove_updated (
+    block_number INTEGER NOT NULL, tx_hash TEXT NOT NULL, log_index INTEGER NOT NULL,
+    source TEXT NOT NULL, asset TEXT NOT NULL, borrower TEXT NOT NULL,
+    debt TEXT NOT NULL, coll TEXT NOT NULL, operation TEXT NOT NULL,
+    PRIMARY KEY (tx_hash, log_index)
+);
+CREATE TABLE IF NOT EXISTS borrowing_fee_paid (
+    block_number INTEGER NOT NULL, tx_hash TEXT NOT NULL, log_index INTEGER NOT NULL,
+    asset TEXT NOT NULL, borrower TEXT NOT NULL, fee TEXT NOT NULL,
+    PRIMARY KEY (tx_hash, log_index)
+);
+CREATE TABLE IF NOT EXISTS liquidations (
+    block_number INTEGER NOT NULL, tx_hash TEXT NOT NULL, log_index INTEGER NOT NULL,
+    asset TEXT NOT NULL, liquidated_debt TEXT NOT NULL, liquidated_coll TEXT NOT NULL,
+    protocol_compensation TEXT NOT NULL,
+    PRIMARY KEY (tx_hash, log_index)
+);
+CREATE TABLE IF NOT EXISTS trove_liquidated (
+    block_number INTEGER NOT NULL, tx_hash TEXT NOT NULL, log_index INTEGER NOT NULL,
+    asset TEXT NOT NULL, borrower TEXT NOT NULL, debt TEXT NOT NULL, coll TEXT NOT NULL,
+    operation TEXT NOT NULL,
+    PRIMARY KEY (tx_hash, log_index)
+);
+CREATE TABLE IF NOT EXISTS redemptions (
+    block_number INTEGER NOT NULL, tx_hash TEXT NOT NULL, log_index INTEGER NOT NULL,
+    asset TEXT NOT NULL, attempted_dchf_amount TEXT NOT NULL, actual_dchf_amount TEXT NOT NULL,
+    asset_sent TEXT NOT NULL, asset_fee TEXT NOT NULL,
+    PRIMARY KEY (tx_hash, log_index)
+);
+CREATE TABLE IF NOT EXISTS base_rate_updates (
+    block_number INTEGER NOT NULL, tx_hash TEXT NOT NULL, log_index INTEGER NOT NULL,
+    asset TEXT NOT NULL, base_rate TEXT NOT NULL,
+    PRIMARY KEY (tx_hash, log_index)
+);
+CREATE TABLE IF NOT EXISTS coll_balance_updates (
+    block_number INTEGER NOT NULL, tx_hash TEXT NOT NULL, log_index INTEGER NOT NULL,
+    account TEXT NOT NULL, new_balance TEXT NOT NULL,
+    PRIMARY KEY (tx_hash, log_index)
+);
+CREATE INDEX IF NOT EXISTS trove_updated_borrower ON trove_updated (asset, borrower, block_number);
+`;
+
+const EVENT_TABLES = [
+    "trove_created",
+    "trove_updated",
+    "borrowing_fee_paid",
+    "liquidations",
+    "trove_liquidated",
+    "redemptions",
+    "base_rate_updates",
+    "coll_balance_updates",
+];
+
+/*
+ * Replays the trove lifecycle events of BorrowerOperations, TroveManager and CollSurplusPool into SQLite.
+ * The last indexed block and its hash are checkpointed in the same transaction as its events, so a run can
+ * stop anywhere. On the next run, if the checkpoint is no longer on the chain, the events after the last
+ * block still on it are deleted and indexed again.
+ */
+class EventIndexer {
+    constructor(addresses, db, options = {}) {
+        this.db = db;
+        this.options = {
+            // Blocks left behind the head, the deeper the less reorgs to undo
+            confirmations: 12,
+            // Blocks per eth_getLogs call
+            batchSize: 2000,
+            ...options,
+        };
+
+        this.contracts = Object.entries(EVENTS).map(([name, events]) => {
+            if (!addresses[name]) throw `${name} address is missing`;
+            return {name, address: addresses[name], iface: new ethers.utils.Interface(events)};
+        });
+
+        db.exec(SCHEMA);
+    }
+
+    // Indexes from the checkpoint, or fromBlock the first time, up to toBlock or the confirmed head
+    async run(fromBlock = 0, toBlock) {
+        await this.handleReorg();
+
+        const checkpoint = this.getCheckpoint();
+        let start = checkpoint ? checkpoint.block_number + 1 : fromBlock;
+
+        const head = (await ethers.provider.getBlockNumber()) - this.options.confirmations;
+        const end = toBlock === undefined ? head : Math.min(toBlock, head);
+
+        while (start <= end) {
+            const batchEnd = Math.min(start + this.options.batchSize - 1, end);
+            const count = await this.indexRange(start, batchEnd);
+            console.log(`Indexed blocks ${start} to ${batchEnd}: ${count} events`);
+            start = batchEnd + 1;
+        }
+        return end;
+    }
+
+    async start(fromBlock, intervalSeconds) {
+        this.loop = new PollingLoop(
+            () => this.run(fromBlock),
+            (error) => console.error(`Indexing failed: ${error.message || error}`)
+        );
+        await this.loop.start(intervalSeconds);
+    }
+
+    stop() {
+        if (this.loop) this.loop.stop();
+    }
+
+    async indexRange(fromBlock, toBlock) {
+        const events = [];
+        for (const contract of this.contracts) {
+            const logs = await ethers.provider.getLogs({address: contract.address, fromBlock, toBlock});
+            for (const log of logs) {
+                let parsed;
+                try {
+                    parsed = contract.iface.parseLog(log);
+                } catch (error) {
+                    // Events of the contract that are not indexed
+                    continue;
+                }
+                events.push({contract: contract.name, log, parsed});
+            }
+        }
+
+        const blocks = new Map();
+        for (const blockNumber of new Set([...events.map((e) => e.log.blockNumber), toBlock])) {
+            blocks.set(blockNumber, await ethers.provider.getBlock(blockNumber));
+        }
+
+        // A log from a block reorged away while the range was read would not match the saved hash
+        for (const {log} of events) {
+            if (blocks.get(log.blockNumber).hash != log.blockHash) {
+                throw `Block ${log.blockNumber} changed while indexing, retrying from the checkpoint`;
+            }
+        }
+
+        this.db.transaction(() => {
+            for (const block of blocks.values()) {
+                this.db
+                    .prepare(
+                        "INSERT OR REPLACE INTO blocks (block_number, block_hash, timestamp) VALUES (?, ?, ?)"
+                    )
+                    .run(block.number, block.hash, block.timestamp);
+            }
+            for (const event of events) {
+                this.insertEvent(event);
+            }
+            this.setCheckpoint(toBlock, blocks.get(toBlock).hash);
+        })();
+
+        return events.length;
+    }
+
+    insertEvent({contract, log, parsed}) {
+        const meta = [log.blockNumber, log.transactionHash, log.logIndex];
+        const args = parsed.args;
+        const insert = (table, columns, values) => {
+            const placeholders = columns.map(() => "?").join(", ");
+            this.db
+                .prepare(
+                    `INSERT OR IGNORE INTO ${table} (block_number, tx_hash, log_index, ${columns.join(
+                        ", "
+                    )}) ` + `VALUES (?, ?, ?, ${placeholders})`
+                )
+                .run(
+                    ...meta,
+                    ...values.map((value) => (ethers.BigNumber.isBigNumber(value) ? value.toString() : value))
+                );
+        };
+
+        switch (parsed.name) {
+            case "TroveCreated":
+                insert(
+                    "trove_created",
+                    ["asset", "borrower", "array_index"],
+                    [args._asset, args._borrower, args.arrayIndex.toNumber()]
+                );
+                break;
+            case "TroveUpdated":
+                insert(
+                    "trove_updated",
+                    ["source", "asset", "borrower", "debt", "coll", "operation"],
+                    [
+                        contract,
+                        args._asset,
+                        args._borrower,
+                        args._debt,
+                        args._coll,
+                        OPERATIONS[contract][args[4]],
+                    ]
+                );
+                break;
+            case "DCHFBorrowingFeePaid":
+                insert(
+                    "borrowing_fee_paid",
+                    ["asset", "borrower", "fee"],
+                    [args._asset, args._borrower, args._DCHFFee]
+                );
+                break;
+            case "Liquidation":
+                insert(
+                    "liquidations",
+                    ["asset", "liquidated_debt", "liquidated_coll", "protocol_compensation"],
+                    [args._asset, args._liquidatedDebt, args._liquidatedColl, args._protocolCompensation]
+                );
+                break;
+            case "TroveLiquidated":
+                insert(
+                    "trove_liquidated",
+                    ["asset", "borrower", "debt", "coll", "operation"],
+                    [
+                        args._asset,
+                        args._borrower,
+                        args._debt,
+                        args._coll,
+                        OPERATIONS.troveManager[args._operation],
+                    ]
+                );
+                break;
+            case "Redemption":
+                insert(
+                    "redemptions",
+                    ["asset", "attempted_dchf_amount", "actual_dchf_amount", "asset_sent", "asset_fee"],
+                    [
+                        args._asset,
+                        args._attemptedMONmount,
+                        args._actualMONmount,
+                        args._AssetSent,
+                        args._AssetFee,
+                    ]
+                );
+                break;
+            case "BaseRateUpdated":
+                insert("base_rate_updates", ["asset", "base_rate"], [args._asset, args._baseRate]);
+                break;
+            case "CollBalanceUpdated":
+                insert("coll_balance_updates", ["account", "new_balance"], [args._account, args._newBalance]);
+                break;
+        }
+    }
+
+    // --- Reorgs ---
+
+    // Rolls back to the last saved block still on the chain, if the checkpoint block is not anymore
+    async handleReorg() {
+        const checkpoint = this.getCheckpoint();
+        if (!checkpoint || (await this.isOnChain(checkpoint.block_number, checkpoint.block_hash))) return;
+
+        const saved = this.db
+            .prepare("SELECT block_number, block_hash FROM blocks ORDER BY block_number DESC")
+            .all();
+        let ancestor;
+        for (const block of saved) {
+            if (await this.isOnChain(block.block_number, block.block_hash)) {
+                ancestor = block;
+                break;
+            }
+        }
+
+        console.log(
+            `Reorg: block ${checkpoint.block_number} is no longer on the chain, rolling back to ${
+                ancestor ? ancestor.block_number : "the start"
+            }`
+        );
+        this.db.transaction(() => {
+            const after = ancestor ? ancestor.block_number : -1;
+            for (const table of [...EVENT_TABLES, "blocks"]) {
+                this.db.prepare(`DELETE FROM ${table} WHERE block_number > ?`).run(after);
+            }
+            if (ancestor) {
+                this.setCheckpoint(ancestor.block_number, ancestor.block_hash);
+            } else {
+                this.db.prepare("DELETE FROM checkpoint").run();
+            }
+        })();
+    }
+
+    async isOnChain(blockNumber, blockHash) {
+        const block = await ethers.provider.getBlock(blockNumber);
+        return block != null && block.hash == blockHash;
+    }
+
+    getCheckpoint() {
+        return this.db.prepare("SELECT block_number, block_hash FROM checkpoint WHERE id = 1").get();
+    }
+
+    setCheckpoint(blockNumber, blockHash) {
+        this.db
+            .prepare("INSERT OR REPLACE INTO checkpoint (id, block_number, block_hash) VALUES (1, ?, ?)")
+            .run(blockNumber, blockHash);
+    }
+}
+
+module.exports = EventIndexer;
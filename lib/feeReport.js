@@ -0,0 +1,308 @@
+const {ethers} = require("hardhat");
+
+const {BigNumber} = ethers;
+
+const ERC20_ABI = [
+    "event Transfer(address indexed from, address indexed to, uint256 value)",
+    "function balanceOf(address) view returns (uint256)",
+    "function decimals() view returns (uint8)",
+];
+
+const PERIODS = ["day", "week", "month"];
+
+const COLUMNS = [
+    "period",
+    "start_block",
+    "end_block",
+    "token",
+    "borrowing_fees_dchf",
+    "redemption_fees",
+    "liquidation_fees",
+    "dchf_received",
+    "dchf_swapped",
+    "swept",
+    "mon_burnt",
+    "balance_start",
+    "balance_end",
+    "drift",
+    "status",
+];
+
+/*
+ * Reconciles the fees of FeeContract per period: the DCHF borrowing fees minted to it, and the collateral
+ * it receives from redemption fees and liquidation gains, against the DCHF swapped in executePurchaseMON,
+ * the MON burnt, the sweeps and its balances at the period boundaries. The drift of a token is what its
+ * balance change leaves unexplained, e.g. a direct transfer. contracts holds borrowerOperations,
+ * troveManager, feeContract and the dchfToken address. Past balances need an archive node.
+ */
+class FeeReport {
+    constructor(contracts, options = {}) {
+        this.contracts = contracts;
+        this.options = {
+            // day, week or month, in UTC, weeks starting on Monday
+            period: "month",
+            // Blocks per eth_getLogs call
+            batchSize: 5000,
+            ...options,
+        };
+        if (!PERIODS.includes(this.options.period)) throw `Unknown period ${this.options.period}`;
+        this.dchf = new ethers.Contract(contracts.dchfToken, ERC20_ABI, ethers.provider);
+        this.blocks = {};
+    }
+
+    // collaterals are {name, asset}, others found in the events are named by their address
+    async run(collaterals, fromBlock = 0, toBlock = "latest") {
+        const end = (await ethers.provider.getBlock(toBlock)).number;
+        if (fromBlock > end) throw `--from-block ${fromBlock} is after the last block ${end}`;
+
+        const periods = await this.getPeriods(fromBlock, end);
+        const events = await this.getEvents(fromBlock, end);
+
+        const tokens = [...collaterals];
+        for (const event of [...events.borrowingFees, ...events.redemptions, ...events.liquidations]) {
+            const asset = event.args._asset;
+            if (!tokens.some((token) => token.asset.toLowerCase() == asset.toLowerCase())) {
+                tokens.push({name: asset == ethers.constants.AddressZero ? "ETH" : asset, asset});
+            }
+        }
+        for (const token of tokens) {
+            token.decimals =
+                token.asset == ethers.constants.AddressZero
+                    ? 18
+                    : await new ethers.Contract(token.asset, ERC20_ABI, ethers.provider).decimals();
+        }
+
+        const rows = [];
+        let startBlock = fromBlock;
+        let startBalances = await this.getBalances(tokens, fromBlock - 1);
+        for (const period of periods) {
+            const endBalances = await this.getBalances(tokens, period.endBlock);
+            const inPeriod = (event) =>
+                event.blockNumber >= startBlock && event.blockNumber <= period.endBlock;
+            const context = {period, startBlock, startBalances, endBalances};
+
+            rows.push(this.getDCHFRow(context, filterEvents(events, inPeriod)));
+            for (const token of tokens) {
+                rows.push(this.getCollateralRow(context, token, filterEvents(events, inPeriod)));
+            }
+
+            startBlock = period.endBlock + 1;
+            startBalances = endBalances;
+        }
+        return {fromBlock, toBlock: end, rows};
+    }
+
+    getDCHFRow({period, startBlock, startBalances, endBalances}, events) {
+        const feeContract = this.contracts.feeContract.address.toLowerCase();
+        const buybackTxs = new Set(events.buybacks.map((event) => event.transactionHash));
+
+        const borrowingFees = sum(events.borrowingFees.map((event) => event.args._DCHFFee));
+        const received = sum(
+            events.transfers.filter((e) => e.args.to.toLowerCase() == feeContract).map((e) => e.args.value)
+        );
+        const swapped = sum(
+            events.transfers
+                .filter((e) => e.args.from.toLowerCase() == feeContract && buybackTxs.has(e.transactionHash))
+                .map((e) => e.args.value)
+        );
+        const swept = sum(this.getSweeps(events, this.dchf.address));
+        const MONBurnt = sum(events.buybacks.map((event) => event.args.amount));
+
+        const drift = endBalances.DCHF.sub(startBalances.DCHF).sub(borrowingFees).add(swapped).add(swept);
+        const format = (amount) => ethers.utils.formatEther(amount);
+        return {
+            period: period.label,
+            start_block: startBlock,
+            end_block: period.endBlock,
+            token: "DCHF",
+            borrowing_fees_dchf: format(borrowingFees),
+            dchf_received: format(received),
+            dchf_swapped: format(swapped),
+            swept: format(swept),
+            mon_burnt: format(MONBurnt),
+            balance_start: format(startBalances.DCHF),
+            balance_end: format(endBalances.DCHF),
+            drift: format(drift),
+            status: drift.isZero() ? "ok" : "drift",
+        };
+    }
+
+    getCollateralRow({period, startBlock, startBalances, endBalances}, token, events) {
+        const ofToken = (event) => event.args._asset.toLowerCase() == token.asset.toLowerCase();
+        // ActivePool sends the 18 decimals amounts of the events with SafetyTransfer.decimalsCorrection
+        const toTokenUnits = (amount) => amount.div(BigNumber.from(10).pow(18 - token.decimals));
+
+        const borrowingFees = sum(events.borrowingFees.filter(ofToken).map((event) => event.args._DCHFFee));
+        const redemptionFees = sum(
+            events.redemptions.filter(ofToken).map((event) => toTokenUnits(event.args._AssetFee))
+        );
+        const liquidationFees = sum(
+            events.liquidations.filter(ofToken).map((event) => toTokenUnits(event.args._protocolCompensation))
+        );
+        const swept = sum(this.getSweeps(events, token.asset));
+
+        const start = startBalances[token.asset];
+        const end = endBalances[token.asset];
+        const drift = end.sub(start).sub(redemptionFees).sub(liquidationFees).add(swept);
+        const format = (amount) => ethers.utils.formatUnits(amount, token.decimals);
+        return {
+            period: period.label,
+            start_block: startBlock,
+            end_block: period.endBlock,
+            token: token.name,
+            borrowing_fees_dchf: ethers.utils.formatEther(borrowingFees),
+            redemption_fees: format(redemptionFees),
+            liquidation_fees: format(liquidationFees),
+            swept: format(swept),
+            balance_start: format(start),
+            balance_end: format(end),
+            drift: format(drift),
+            status: drift.isZero() ? "ok" : "drift",
+        };
+    }
+
+    getSweeps(events, token) {
+        return events.sweeps
+            .filter((event) => event.args.token.toLowerCase() == token.toLowerCase())
+            .map((event) => event.args.amount);
+    }
+
+    async getEvents(fromBlock, toBlock) {
+        const {borrowerOperations, troveManager, feeContract} = this.contracts;
+        const {dchf} = this;
+        return {
+            borrowingFees: await this.query(borrowerOperations, "DCHFBorrowingFeePaid", fromBlock, toBlock),
+            redemptions: await this.query(troveManager, "Redemption", fromBlock, toBlock),
+            liquidations: await this.query(troveManager, "Liquidation", fromBlock, toBlock),
+            buybacks: await this.query(feeContract, "BuybackMON", fromBlock, toBlock),
+            sweeps: await this.query(feeContract, "Sweep", fromBlock, toBlock),
+            transfers: [
+                ...(await this.query(
+                    dchf,
+                    dchf.filters.Transfer(null, feeContract.address),
+                    fromBlock,
+                    toBlock
+                )),
+                ...(await this.query(dchf, dchf.filters.Transfer(feeContract.address), fromBlock, toBlock)),
+            ],
+        };
+    }
+
+    async query(contract, filter, fromBlock, toBlock) {
+        const events = [];
+        for (let start = fromBlock; start <= toBlock; start += this.options.batchSize) {
+            const end = Math.min(start + this.options.batchSize - 1, toBlock);
+            const batch =
+                typeof filter == "string"
+                    ? await contract.queryFilter(contract.filters[filter](), start, end)
+                    : await contract.queryFilter(filter, start, end);
+            events.push(...batch);
+        }
+        return events;
+    }
+
+    // DCHF and collateral balances of FeeContract at the end of blockNumber, 0 before it is deployed
+    async getBalances(tokens, blockNumber) {
+        const feeContract = this.contracts.feeContract.address;
+        const balances = {DCHF: BigNumber.from(0)};
+        for (const token of tokens) {
+            balances[token.asset] = BigNumber.from(0);
+        }
+        if (blockNumber < 0 || (await ethers.provider.getCode(feeContract, blockNumber)) == "0x") {
+            return balances;
+        }
+
+        const overrides = {blockTag: blockNumber};
+        if ((await ethers.provider.getCode(this.dchf.address, blockNumber)) != "0x") {
+            balances.DCHF = await this.dchf.balanceOf(feeContract, overrides);
+        }
+        for (const token of tokens) {
+            if (token.asset == ethers.constants.AddressZero) {
+                balances[token.asset] = await ethers.provider.getBalance(feeContract, blockNumber);
+            } else if ((await ethers.provider.getCode(token.asset, blockNumber)) != "0x") {
+                const erc20 = new ethers.Contract(token.asset, ERC20_ABI, ethers.provider);
+                balances[token.asset] = await erc20.balanceOf(feeContract, overrides);
+            }
+        }
+        return balances;
+    }
+
+    // Periods between the two blocks, each with its label and its last block
+    async getPeriods(fromBlock, toBlock) {
+        const periods = [];
+        let timestamp = await this.getTimestamp(fromBlock);
+        const lastTimestamp = await this.getTimestamp(toBlock);
+        let startBlock = fromBlock;
+        while (true) {
+            const label = this.getLabel(timestamp);
+            const next = this.getNextPeriodStart(timestamp);
+            if (next > lastTimestamp) {
+                periods.push({label, endBlock: toBlock});
+                return periods;
+            }
+            const endBlock = await this.getLastBlockBefore(next, startBlock, toBlock);
+            periods.push({label, endBlock});
+            startBlock = endBlock + 1;
+            timestamp = next;
+        }
+    }
+
+    getLabel(timestamp) {
+        const date = new Date(timestamp * 1000);
+        if (this.options.period == "month") return date.toISOString().slice(0, 7);
+        if (this.options.period == "week") {
+            // The Monday starting the week
+            date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+        }
+        return date.toISOString().slice(0, 10);
+    }
+
+    getNextPeriodStart(timestamp) {
+        const date = new Date(timestamp * 1000);
+        const [year, month, day] = [date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()];
+        if (this.options.period == "day") return Date.UTC(year, month, day + 1) / 1000;
+        if (this.options.period == "week") {
+            return Date.UTC(year, month, day + 7 - ((date.getUTCDay() + 6) % 7)) / 1000;
+        }
+        return Date.UTC(year, month + 1, 1) / 1000;
+    }
+
+    // Binary search of the last block before timestamp, the block at low being before it
+    async getLastBlockBefore(timestamp, low, high) {
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if ((await this.getTimestamp(middle)) < timestamp) low = middle;
+            else high = middle - 1;
+        }
+        return low;
+    }
+
+    async getTimestamp(blockNumber) {
+        if (this.blocks[blockNumber] === undefined) {
+            this.blocks[blockNumber] = (await ethers.provider.getBlock(blockNumber)).timestamp;
+        }
+        return this.blocks[blockNumber];
+    }
+
+    static toCSV(rows) {
+        const lines = rows.map((row) =>
+            COLUMNS.map((column) => (row[column] === undefined ? "" : `${row[column]}`)).join(",")
+        );
+        return [COLUMNS.join(","), ...lines].join("\n") + "\n";
+    }
+}
+
+function filterEvents(events, predicate) {
+    const filtered = {};
+    for (const [name, list] of Object.entries(events)) {
+        filtered[name] = list.filter(predicate);
+    }
+    return filtered;
+}
+
+function sum(amounts) {
+    return amounts.reduce((total, amount) => total.add(amount), BigNumber.from(0));
+}
+
+module.exports = FeeReport;
+module.exports.PERIODS = PERIODS;
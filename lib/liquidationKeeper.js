@@ -0,0 +1,208 @@
+const {ethers} = require("hardhat");
+
+const PollingLoop = require("./pollingLoop.js");
+
+const {BigNumber} = ethers;
+
+// Read-only views of the contracts LiquidatorDCHF trades through, not part of its interfaces
+const VAULT_ABI = [
+    "function token() view returns (address)",
+    "function pricePerShare() view returns (uint256)",
+    "function decimals() view returns (uint256)",
+];
+const CURVE_METAPOOL_ABI = ["function calc_withdraw_one_coin(uint256, int128) view returns (uint256)"];
+const CURVE_POOL_ABI = [
+    "function price_oracle() view returns (uint256)",
+    "function get_dy(uint256, uint256, uint256) view returns (uint256)",
+];
+
+// DCHF/3Crv pool LiquidatorDCHF swaps in, a constant of the contract
+const CURVE_POOL_DCHF = "0xDcb11E81C8B8a1e06BF4b50d4F6f3bb31f7478C3";
+
+// Coin indexes used by LiquidatorDCHF: 3Crv is coin 1 of the metapools and of the DCHF/3Crv pool
+const CRV_INDEX = 1;
+const DCHF_INDEX = 0;
+
+const BPS = 10000;
+const _1e18 = ethers.constants.WeiPerEther;
+
+/*
+ * Liquidates the troves below LIQ_MCR through LiquidatorDCHF, which flash mints the DCHF to repay their debt
+ * and swaps the collateral back to DCHF: Yearn vault -> Curve metapool LP -> 3Crv -> DCHF.
+ * contracts holds troveManager, sortedTroves, priceFeed, dfrancParameters and liquidatorDCHF.
+ */
+class LiquidationKeeper {
+    constructor(contracts, signer, options = {}) {
+        this.contracts = contracts;
+        this.signer = signer;
+        this.options = {
+            maxTroves: 10,
+            // DCHF the liquidation must leave after repaying the flash loan
+            minProfit: BigNumber.from(0),
+            // Haircut on the Curve quote, as the pool can move before the transaction is mined
+            slippage: 50,
+            dryRun: false,
+            ...options,
+        };
+    }
+
+    async load() {
+        const liquidator = this.contracts.liquidatorDCHF.connect(this.signer);
+        const provider = this.signer.provider;
+
+        this.liquidator = liquidator;
+        this.flashMinter = await ethers.getContractAt("FlashMinterDCHF", await liquidator.lender());
+        this.dchf = await this.flashMinter.DCHF();
+        this.curvePool = new ethers.Contract(CURVE_POOL_DCHF, CURVE_POOL_ABI, provider);
+    }
+
+    async start(assets, intervalSeconds) {
+        this.loop = new PollingLoop(
+            () => this.runOnce(assets),
+            (error) => console.error(`Keeper round failed: ${error.message || error}`)
+        );
+        await this.loop.start(intervalSeconds);
+    }
+
+    stop() {
+        if (this.loop) this.loop.stop();
+    }
+
+    async runOnce(assets) {
+        if (!this.liquidator) await this.load();
+
+        const results = [];
+        for (const asset of assets) {
+            results.push(await this.liquidateAsset(asset));
+        }
+        return results;
+    }
+
+    async liquidateAsset(asset) {
+        const {troves} = await this.findLiquidatableTroves(asset);
+        if (troves.length == 0) return {asset, liquidated: 0};
+
+        if (!(await this.isLiquidatorAllowed())) {
+            console.log(
+                `${asset}: ${troves.length} liquidatable troves, but the liquidator is not whitelisted`
+            );
+            return {asset, liquidated: 0};
+        }
+
+        const plan = await this.planLiquidation(asset, troves);
+        if (!plan) {
+            console.log(`${asset}: ${troves.length} liquidatable troves, none profitable`);
+            return {asset, liquidated: 0};
+        }
+
+        console.log(
+            `${asset}: liquidating ${plan.n} of ${troves.length} troves, ` +
+                `debt ${ethers.utils.formatEther(plan.debt)} DCHF, ` +
+                `expected profit ${ethers.utils.formatEther(plan.profit)} DCHF`
+        );
+        if (this.options.dryRun) return {asset, liquidated: 0, plan};
+
+        const tx =
+            plan.n == 1
+                ? await this.liquidator.liquidateSingle(asset, troves[0].borrower, plan.debt)
+                : await this.liquidator.liquidateMulti(asset, plan.n, plan.debt);
+        const receipt = await tx.wait();
+
+        const profitEvent = receipt.events.find((event) => event.event == "LiquidationProfit");
+        const profit = profitEvent ? profitEvent.args.amount : undefined;
+        console.log(
+            `${asset}: liquidated in ${tx.hash}, profit ${profit && ethers.utils.formatEther(profit)} DCHF`
+        );
+
+        return {asset, liquidated: plan.n, plan, txHash: tx.hash, profit};
+    }
+
+    // Walks the sorted troves of the asset from the riskiest one, while their ICR is below LIQ_MCR
+    async findLiquidatableTroves(asset) {
+        const {troveManager, sortedTroves, priceFeed, dfrancParameters} = this.contracts;
+
+        const price = await priceFeed.callStatic.fetchPrice(asset);
+        const liqMCR = await dfrancParameters.LIQ_MCR(asset);
+
+        const troves = [];
+        let borrower = await sortedTroves.getLast(asset);
+        while (borrower != ethers.constants.AddressZero && troves.length < this.options.maxTroves) {
+            const ICR = await troveManager.getCurrentICR(asset, borrower, price);
+            if (ICR.gte(liqMCR)) break;
+
+            const {debt, coll} = await troveManager.getEntireDebtAndColl(asset, borrower);
+            troves.push({borrower, ICR, debt, coll});
+
+            borrower = await sortedTroves.getPrev(asset, borrower);
+        }
+
+        return {price, liqMCR, troves};
+    }
+
+    /*
+     * LiquidatorDCHF.liquidateMulti liquidates the riskiest troves in order, so the candidates are the
+     * first n troves. Returns the estimate of the most profitable n, or undefined if none reaches minProfit.
+     */
+    async planLiquidation(asset, troves) {
+        let best;
+        let debt = BigNumber.from(0);
+        let coll = BigNumber.from(0);
+
+        for (let n = 1; n <= troves.length; n++) {
+            debt = debt.add(troves[n - 1].debt);
+            coll = coll.add(troves[n - 1].coll);
+
+            const estimate = await this.estimateProfit(asset, debt, coll);
+            if (!estimate.feasible) continue;
+            if (!best || estimate.profit.gt(best.profit)) best = {n, ...estimate};
+        }
+
+        if (!best || best.profit.lt(this.options.minProfit)) return undefined;
+        return best;
+    }
+
+    // Follows the flash mint -> liquidate -> withdraw -> remove_liquidity_one_coin -> exchange -> repay cycle
+    async estimateProfit(asset, debt, coll) {
+        const protocolFee = await this.contracts.troveManager.protocolFee();
+        const collToLiquidator = coll.sub(coll.mul(protocolFee).div(BPS));
+
+        const vault = new ethers.Contract(asset, VAULT_ABI, this.signer.provider);
+        const lpAmount = collToLiquidator
+            .mul(await vault.pricePerShare())
+            .div(BigNumber.from(10).pow(await vault.decimals()));
+
+        const metapool = new ethers.Contract(await vault.token(), CURVE_METAPOOL_ABI, this.signer.provider);
+        const crvAmount = await metapool.calc_withdraw_one_coin(lpAmount, CRV_INDEX);
+
+        const quote = await this.curvePool.get_dy(CRV_INDEX, DCHF_INDEX, crvAmount);
+        const expectedDCHF = quote.mul(BPS - this.options.slippage).div(BPS);
+
+        // LiquidatorDCHF reverts if the swap returns less than slippageMax of the oracle price
+        const minDCHF = crvAmount
+            .mul(await this.curvePool.price_oracle())
+            .mul(await this.liquidator.slippageMax())
+            .div(BPS)
+            .div(_1e18);
+
+        const flashFee = await this.flashMinter.flashFee(this.dchf, debt);
+        const profit = expectedDCHF.sub(debt).sub(flashFee);
+
+        return {
+            debt,
+            coll,
+            crvAmount,
+            expectedDCHF,
+            flashFee,
+            profit,
+            feasible: quote.gte(minDCHF) && !profit.isNegative(),
+        };
+    }
+
+    async isLiquidatorAllowed() {
+        const {troveManager} = this.contracts;
+        if (!(await troveManager.isLiquidationWhitelisted())) return true;
+        return troveManager.liquidationWhitelist(this.liquidator.address);
+    }
+}
+
+module.exports = LiquidationKeeper;
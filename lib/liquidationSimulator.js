@@ -0,0 +1,190 @@
+const {ethers} = require("hardhat");
+
+const {BigNumber} = ethers;
+
+// liqAction of LiquidatorDCHFSimulation.Liquidation
+const SINGLE = 0;
+const MULTI = 1;
+
+const RESULTS_TYPE = "tuple(bool success, uint256 profit, uint256 gasUsed, bytes revertData)[]";
+const ERROR_SELECTOR = "0x08c379a0";
+
+const TX_BASE_GAS = 21000;
+
+/*
+ * Simulates LiquidatorDCHF liquidations with eth_call, on a fork or a local node, before sending them: the
+ * creation code of LiquidatorDCHFSimulation runs the flash mint -> liquidate -> remove_liquidity_one_coin ->
+ * exchange -> repay cycle against the current state and returns the LiquidationProfit and gas of each one.
+ * contracts holds troveManager, sortedTroves and liquidatorDCHF.
+ */
+class LiquidationSimulator {
+    constructor(contracts, signer, options = {}) {
+        this.contracts = contracts;
+        this.signer = signer;
+        // Gas the selected liquidations may use together, defaults to the gas limit of the latest block. The
+        // simulations themselves always run at the block gas limit.
+        this.gasLimit = options.gasLimit;
+    }
+
+    /*
+     * Simulates the liquidation of the troves of the asset, each with liquidateSingle, and, when the troves
+     * are the tail of the sorted troves, all of them at once with liquidateMulti. Returns for each strategy
+     * the troves to include for the max profit within the gas limit, and which strategy to use.
+     */
+    async simulateTroves(asset, borrowers) {
+        const gasLimit = await this.getGasLimit();
+
+        const troves = [];
+        for (const borrower of borrowers) {
+            const {debt} = await this.contracts.troveManager.getEntireDebtAndColl(asset, borrower);
+            troves.push({borrower, debt});
+        }
+
+        const single = await this.planSingle(asset, troves, gasLimit);
+        const multi = (await this.isTail(asset, borrowers))
+            ? await this.planMulti(asset, troves, gasLimit)
+            : undefined;
+
+        const best = multi && multi.profit.gt(single.profit) ? "multi" : "single";
+        return {asset, gasLimit, single, multi, best};
+    }
+
+    /*
+     * Keeps the profitable liquidateSingle calls, by profit per gas, while they fit in the gas limit. They
+     * are simulated again without the dropped ones, since those change the pools the others swap in.
+     * `simulated` holds the first simulation, of every trove.
+     */
+    async planSingle(asset, troves, gasLimit) {
+        const toLiquidations = (list) =>
+            list.map((trove) => ({liqAction: SINGLE, borrower: trove.borrower, n: 0, amount: trove.debt}));
+
+        const simulated = (await this.simulate(asset, toLiquidations(troves))).map((result, i) => ({
+            ...troves[i],
+            ...result,
+        }));
+        const candidates = simulated.filter((trove) => trove.success && trove.profit.gt(0));
+
+        candidates.sort((a, b) => (b.profit.mul(a.gas).gt(a.profit.mul(b.gas)) ? 1 : -1));
+
+        let gas = BigNumber.from(0);
+        const selected = [];
+        for (const trove of candidates) {
+            if (gas.add(trove.gas).gt(gasLimit)) continue;
+            gas = gas.add(trove.gas);
+            selected.push(trove.borrower);
+        }
+
+        const included = troves.filter((trove) => selected.includes(trove.borrower));
+        const results = (await this.simulate(asset, toLiquidations(included))).map((result, i) => ({
+            ...included[i],
+            ...result,
+        }));
+
+        return {...summarize(results), simulated};
+    }
+
+    // Simulates liquidateMulti for every number of troves from the tail, and keeps the most profitable one
+    async planMulti(asset, troves, gasLimit) {
+        let best;
+        let debt = BigNumber.from(0);
+
+        for (let n = 1; n <= troves.length; n++) {
+            debt = debt.add(troves[n - 1].debt);
+
+            const [result] = await this.simulate(asset, [
+                {liqAction: MULTI, borrower: ethers.constants.AddressZero, n, amount: debt},
+            ]);
+            // Each extra trove costs more gas, so no larger n fits either
+            if (result.gas.gt(gasLimit)) break;
+            if (!result.success) continue;
+
+            if (!best || result.profit.gt(best.profit)) {
+                best = {n, debt, troves: troves.slice(0, n).map((trove) => trove.borrower), ...result};
+            }
+        }
+
+        return best;
+    }
+
+    // Runs the liquidations in a single eth_call at the block gas limit and decodes their results
+    async simulate(asset, liquidations) {
+        const {liquidatorDCHF} = this.contracts;
+        const factory = await ethers.getContractFactory("LiquidatorDCHFSimulation", this.signer);
+        const tx = factory.getDeployTransaction(liquidatorDCHF.address, asset, liquidations);
+
+        const data = await this.signer.provider.call({
+            ...tx,
+            from: this.signer.address,
+            gasLimit: await this.getBlockGasLimit(),
+        });
+        const [results] = ethers.utils.defaultAbiCoder.decode([RESULTS_TYPE], data);
+
+        return results.map((result, i) => ({
+            success: result.success,
+            profit: result.profit,
+            gas: result.gasUsed.add(txBaseGas(liquidatorDCHF, asset, liquidations[i])),
+            error: result.success ? undefined : decodeRevert(result.revertData),
+        }));
+    }
+
+    async isTail(asset, borrowers) {
+        const {sortedTroves} = this.contracts;
+
+        let borrower = await sortedTroves.getLast(asset);
+        for (const expected of borrowers) {
+            if (borrower.toLowerCase() != expected.toLowerCase()) return false;
+            borrower = await sortedTroves.getPrev(asset, borrower);
+        }
+        return true;
+    }
+
+    async getGasLimit() {
+        return this.gasLimit ? BigNumber.from(this.gasLimit) : this.getBlockGasLimit();
+    }
+
+    async getBlockGasLimit() {
+        if (!this.blockGasLimit) {
+            this.blockGasLimit = (await this.signer.provider.getBlock("latest")).gasLimit;
+        }
+        return this.blockGasLimit;
+    }
+}
+
+function summarize(results) {
+    const included = results.filter((result) => result.success && result.profit.gt(0));
+    return {
+        troves: included.map((result) => result.borrower),
+        profit: included.reduce((sum, result) => sum.add(result.profit), BigNumber.from(0)),
+        gas: included.reduce((sum, result) => sum.add(result.gas), BigNumber.from(0)),
+        results,
+    };
+}
+
+// Gas the transaction pays on top of the LiquidatorDCHF call: the base cost and the calldata
+function txBaseGas(liquidatorDCHF, asset, liquidation) {
+    const data =
+        liquidation.liqAction == SINGLE
+            ? liquidatorDCHF.interface.encodeFunctionData("liquidateSingle", [
+                  asset,
+                  liquidation.borrower,
+                  liquidation.amount,
+              ])
+            : liquidatorDCHF.interface.encodeFunctionData("liquidateMulti", [
+                  asset,
+                  liquidation.n,
+                  liquidation.amount,
+              ]);
+
+    const bytes = ethers.utils.arrayify(data);
+    const zeroBytes = bytes.filter((byte) => byte == 0).length;
+    return TX_BASE_GAS + zeroBytes * 4 + (bytes.length - zeroBytes) * 16;
+}
+
+function decodeRevert(revertData) {
+    if (revertData.startsWith(ERROR_SELECTOR)) {
+        return ethers.utils.defaultAbiCoder.decode(["string"], "0x" + revertData.slice(10))[0];
+    }
+    return revertData == "0x" ? "reverted without a reason" : revertData;
+}
+
+module.exports = LiquidationSimulator;
@@ -0,0 +1,165 @@
+// Plain ethers, as tasks/parameters.js reads PARAMETERS while the Hardhat config loads
+const {ethers} = require("ethers");
+
+/*
+ * Setters of DfrancParameters, with the bounds of their safeCheck modifier. Ratios are entered in percent and
+ * stored in 1e18 precision, amounts are entered and stored in DCHF, and fees are entered in percent but sent
+ * in basis points, the setters storing them in 1e18 precision.
+ */
+const PARAMETERS = {
+    BORROW_MCR: {option: "borrowMcr", setter: "setBORROW_MCR", kind: "ratio", min: "101", max: "1000"},
+    LIQ_MCR: {option: "liqMcr", setter: "setLIQ_MCR", kind: "ratio", min: "101", max: "1000"},
+    LIMIT_CR: {option: "limitCr", setter: "setLIMIT_CR", kind: "ratio", min: "101", max: "1000"},
+    TVL_CAP: {option: "tvlCap", setter: "setTVL_CAP", kind: "amount", min: "10000", max: "1000000000"},
+    MIN_NET_DEBT: {option: "minNetDebt", setter: "setMinNetDebt", kind: "amount", min: "0", max: "10000"},
+    BORROWING_FEE_FLOOR: {
+        option: "borrowingFeeFloor",
+        setter: "setBorrowingFeeFloor",
+        kind: "fee",
+        min: "0",
+        max: "10",
+    },
+    MAX_BORROWING_FEE: {
+        option: "maxBorrowingFee",
+        setter: "setMaxBorrowingFee",
+        kind: "fee",
+        min: "0",
+        max: "10",
+    },
+    REDEMPTION_FEE_FLOOR: {
+        option: "redemptionFeeFloor",
+        setter: "setRedemptionFeeFloor",
+        kind: "fee",
+        min: "0.1",
+        max: "10",
+    },
+};
+
+// The setters store a fee of n basis points as n * DECIMAL_PRECISION / 10000
+const BASIS_POINT = ethers.utils.parseUnits("1", 14);
+
+/*
+ * Reads and changes the parameters of a collateral in DfrancParameters. A change is validated against the
+ * bounds of the contract and the other parameters before anything is sent, and planned as the list of setter
+ * calls with the parameters before and after them.
+ */
+class ParameterManager {
+    constructor(dfrancParameters, signer) {
+        this.dfrancParameters = dfrancParameters.connect(signer);
+        this.signer = signer;
+    }
+
+    async read(asset) {
+        const values = {};
+        for (const name of Object.keys(PARAMETERS)) {
+            values[name] = await this.dfrancParameters[name](asset);
+        }
+        values.redemptionBlock = await this.dfrancParameters.redemptionBlock(asset);
+        return values;
+    }
+
+    /*
+     * inputs maps parameter names to the entered values, e.g. {BORROW_MCR: "160"}. Throws on a value out of
+     * the bounds of the contract or a maximum borrowing fee not above the floor, as the setters would revert.
+     */
+    async plan(asset, inputs, removeRedemptionBlock = false) {
+        if (!(await this.dfrancParameters.sanitizeParameters(asset))) {
+            throw `${asset} is not configured, use setAsDefault or setCollateralParameters`;
+        }
+
+        const before = await this.read(asset);
+        const after = {...before};
+        const calls = [];
+        for (const [name, input] of Object.entries(inputs)) {
+            const {arg, value} = parseValue(name, input);
+            if (value.eq(before[name])) continue;
+            after[name] = value;
+            calls.push({name, method: PARAMETERS[name].setter, arg});
+        }
+
+        if (!after.MAX_BORROWING_FEE.gt(after.BORROWING_FEE_FLOOR)) {
+            throw `MAX_BORROWING_FEE must be above BORROWING_FEE_FLOOR`;
+        }
+        // Each setter checks its fee against the current other one, a raised floor may need the new max first
+        const maxFeeFirst = after.BORROWING_FEE_FLOOR.gte(before.MAX_BORROWING_FEE);
+        calls.sort((a, b) => order(a.name, maxFeeFirst) - order(b.name, maxFeeFirst));
+
+        if (removeRedemptionBlock) {
+            const {timestamp} = await this.dfrancParameters.provider.getBlock("latest");
+            if (before.redemptionBlock.gt(timestamp)) {
+                after.redemptionBlock = ethers.BigNumber.from(timestamp);
+                calls.push({name: "redemptionBlock", method: "removeRedemptionBlock"});
+            }
+        }
+
+        const warnings = [];
+        if (after.LIQ_MCR.gt(after.BORROW_MCR)) {
+            warnings.push("LIQ_MCR is above BORROW_MCR, troves could be opened liquidatable");
+        }
+        if (after.LIQ_MCR.gt(after.LIMIT_CR)) {
+            warnings.push("LIQ_MCR is above LIMIT_CR");
+        }
+
+        return {asset, before, after, calls, warnings};
+    }
+
+    // Sends the calls of plan() in order, and returns the parameters read back
+    async apply(plan) {
+        const owner = await this.dfrancParameters.owner();
+        if (owner.toLowerCase() != (await this.signer.getAddress()).toLowerCase()) {
+            throw `The signer is not the owner of DfrancParameters, ${owner}`;
+        }
+
+        const txs = [];
+        for (const call of plan.calls) {
+            const args = call.arg === undefined ? [plan.asset] : [plan.asset, call.arg];
+            const tx = await this.dfrancParameters[call.method](...args);
+            await tx.wait();
+            txs.push({...call, hash: tx.hash});
+        }
+        return {txs, after: await this.read(plan.asset)};
+    }
+
+    static format(name, value) {
+        if (name == "redemptionBlock") {
+            return value.isZero() ? "0" : new Date(value.toNumber() * 1000).toISOString();
+        }
+        return PARAMETERS[name].kind == "amount"
+            ? `${ethers.utils.formatEther(value)} DCHF`
+            : `${ethers.utils.formatUnits(value, 16)}%`;
+    }
+}
+
+// Returns the setter argument and the stored value of an entered value, checked against the safeCheck bounds
+function parseValue(name, input) {
+    const parameter = PARAMETERS[name];
+    if (!parameter) throw `Unknown parameter ${name}`;
+
+    const decimals = {ratio: 16, amount: 18, fee: 2}[parameter.kind];
+    let arg;
+    try {
+        arg = ethers.utils.parseUnits(String(input), decimals);
+    } catch (error) {
+        throw parameter.kind == "fee"
+            ? `${name} must be a percent with at most 2 decimals, got ${input}`
+            : `${name} must be a number, got ${input}`;
+    }
+
+    const min = ethers.utils.parseUnits(parameter.min, decimals);
+    const max = ethers.utils.parseUnits(parameter.max, decimals);
+    if (arg.lt(min) || arg.gt(max)) {
+        const unit = parameter.kind == "amount" ? " DCHF" : "%";
+        throw `${name} must be between ${parameter.min}${unit} and ${parameter.max}${unit}, got ${input}`;
+    }
+
+    return {arg, value: parameter.kind == "fee" ? arg.mul(BASIS_POINT) : arg};
+}
+
+function order(name, maxFeeFirst) {
+    if (maxFeeFirst && name == "MAX_BORROWING_FEE") return -1;
+    return Object.keys(PARAMETERS).indexOf(name);
+}
+
+module.exports = ParameterManager;
+module.exports.PARAMETERS = PARAMETERS;
+module.exports.parseValue = parseValue;
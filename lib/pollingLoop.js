@@ -0,0 +1,55 @@
+/*
+ * Runs round every intervalSeconds until stopped, passing the error of a failed round to onError. stop()
+ * cancels the pending wait, so a stopped loop returns as soon as the current round is over.
+ */
+class PollingLoop {
+    constructor(round, onError) {
+        this.round = round;
+        this.onError = onError;
+        this.running = false;
+    }
+
+    async start(intervalSeconds) {
+        this.running = true;
+        while (this.running) {
+            try {
+                await this.round();
+            } catch (error) {
+                await this.onError(error);
+            }
+            if (this.running) await this.wait(intervalSeconds * 1000);
+        }
+    }
+
+    stop() {
+        this.running = false;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = undefined;
+            this.resume();
+        }
+    }
+
+    wait(ms) {
+        return new Promise((resolve) => {
+            this.resume = resolve;
+            this.timer = setTimeout(() => {
+                this.timer = undefined;
+                resolve();
+            }, ms);
+        });
+    }
+
+    // Stops stoppable at the first Ctrl+C, after its current round, and exits at the second
+    static stopOnInterrupt(stoppable, message, log = console.log) {
+        let stopping = false;
+        process.on("SIGINT", () => {
+            if (stopping) process.exit(130);
+            stopping = true;
+            log(`${message}, Ctrl+C again to exit now`);
+            stoppable.stop();
+        });
+    }
+}
+
+module.exports = PollingLoop;
@@ -0,0 +1,310 @@
+const http = require("http");
+const https = require("https");
+const {ethers} = require("hardhat");
+
+const PollingLoop = require("./pollingLoop.js");
+
+const {BigNumber} = ethers;
+
+const ORACLE_ABI = [
+    "function decimals() view returns (uint8)",
+    "function latestAnswer() view returns (int256 answer, uint256 updatedAt)",
+];
+const AGGREGATOR_ABI = [
+    "function decimals() view returns (uint8)",
+    "function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)",
+];
+
+const EVENTS = [
+    "PriceFeedStatusChanged",
+    "LastGoodPriceUpdated",
+    "LastGoodForexUpdated",
+    "RegisteredNewOracle",
+];
+
+// IPriceFeed.Status
+const STATUSES = ["chainlinkWorking", "chainlinkUntrusted"];
+
+const BPS = 10000;
+const _1e18 = ethers.constants.WeiPerEther;
+const TARGET_DIGITS = 18;
+
+/*
+ * Watches PriceFeed for the cases where fetchPrice keeps serving the last good price: the status turned
+ * chainlinkUntrusted, a stale or broken oracle or forex round, which turns it at the next fetchPrice, and a
+ * forex move above MAX_PRICE_DEVIATION_FROM_PREVIOUS_ROUND, which freezes the forex. It also compares
+ * getDirectPrice with the last good price of each token. Every record is a JSON line on stdout; an alert is
+ * emitted when its condition appears and resolved when it clears, and both are posted to the webhook.
+ */
+class PriceFeedMonitor {
+    constructor(priceFeed, options = {}) {
+        this.priceFeed = priceFeed;
+        this.options = {
+            // Gap between getDirectPrice and the last good price raising an alert, in bps
+            maxDeviation: 500,
+            // Age of the forex round raising an alert, in seconds: the day heartbeat of Chainlink forex feeds
+            // plus a margin, as PriceFeed does not check it
+            forexTimeout: 25 * 3600,
+            // URL the alerts are posted to as JSON
+            webhook: undefined,
+            // First block searched for PriceFeed events, defaults to the block at start
+            fromBlock: undefined,
+            // Token names for the records, by address
+            names: {},
+            ...options,
+        };
+        this.active = {};
+    }
+
+    async load(tokens) {
+        this.timeout = (await this.priceFeed.TIMEOUT()).toNumber();
+        this.maxForexChange = await this.priceFeed.MAX_PRICE_DEVIATION_FROM_PREVIOUS_ROUND();
+        this.tokens = new Set(tokens.map((token) => ethers.utils.getAddress(token)));
+        this.lastBlock =
+            this.options.fromBlock !== undefined
+                ? this.options.fromBlock - 1
+                : await ethers.provider.getBlockNumber();
+    }
+
+    async start(tokens, intervalSeconds) {
+        this.loop = new PollingLoop(
+            () => this.runOnce(tokens),
+            (error) => this.emit("alert", {type: "monitor_error", message: `${error.message || error}`})
+        );
+        await this.loop.start(intervalSeconds);
+    }
+
+    stop() {
+        if (this.loop) this.loop.stop();
+    }
+
+    async runOnce(tokens) {
+        if (!this.tokens) await this.load(tokens);
+
+        const block = await ethers.provider.getBlock("latest");
+        await this.watchEvents(block.number);
+
+        const conditions = {};
+        const status = await this.priceFeed.status();
+        if (status != 0) {
+            conditions.status = {
+                type: "status_untrusted",
+                message: "PriceFeed is chainlinkUntrusted, fetchPrice returns the last good prices",
+                status: STATUSES[status],
+            };
+        }
+        for (const token of this.tokens) {
+            Object.assign(conditions, await this.checkToken(token, block.timestamp));
+        }
+
+        await this.update(conditions, block.number);
+        return conditions;
+    }
+
+    // Conditions of a token, by type and token
+    async checkToken(token, now) {
+        const {priceFeed} = this;
+        const conditions = {};
+        const raise = (type, message, data = {}) => {
+            conditions[`${type}:${token}`] = {type, token, name: this.getName(token), message, ...data};
+        };
+
+        const {oracle, chainLinkForex, isRegistered} = await priceFeed.registeredOracles(token);
+        if (!isRegistered) {
+            raise("not_registered", "No oracle registered in PriceFeed");
+            return conditions;
+        }
+
+        // The oracle, frozen past TIMEOUT for PriceFeed._chainlinkIsFrozen
+        try {
+            const contract = new ethers.Contract(oracle, ORACLE_ABI, ethers.provider);
+            const {answer, updatedAt} = await contract.latestAnswer();
+            const age = now - updatedAt.toNumber();
+            if (answer.lte(0)) raise("oracle_bad_answer", `Oracle ${oracle} answers ${answer}`);
+            if (age > this.timeout) {
+                const message = `Oracle ${oracle} updated ${age}s ago, over the TIMEOUT of ${this.timeout}s`;
+                raise("oracle_stale", message, {updatedAt: updatedAt.toNumber()});
+            }
+        } catch (error) {
+            if (error.code != "CALL_EXCEPTION") throw error;
+            raise("oracle_reverted", `Oracle ${oracle} reverts`);
+        }
+
+        // The forex round: broken for PriceFeed._badChainlinkResponse, stale, or frozen by too large a move
+        const lastGoodForex = await priceFeed.lastGoodForex(token);
+        if (chainLinkForex != ethers.constants.AddressZero) {
+            try {
+                const contract = new ethers.Contract(chainLinkForex, AGGREGATOR_ABI, ethers.provider);
+                const decimals = await contract.decimals();
+                const round = await contract.latestRoundData();
+                const updatedAt = round.updatedAt.toNumber();
+
+                if (round.roundId.isZero() || updatedAt == 0 || updatedAt > now || round.answer.lte(0)) {
+                    raise("forex_bad_response", `Forex ${chainLinkForex} round ${round.roundId} is invalid`);
+                } else {
+                    if (round.answeredInRound.lt(round.roundId)) {
+                        raise(
+                            "forex_stale_round",
+                            `Forex ${chainLinkForex} round ${round.roundId} is carried over`
+                        );
+                    }
+                    if (now - updatedAt > this.options.forexTimeout) {
+                        raise("forex_stale", `Forex ${chainLinkForex} updated ${now - updatedAt}s ago`, {
+                            updatedAt,
+                        });
+                    }
+                    const forex = scale(round.answer, decimals);
+                    const change = getDeviation(forex, lastGoodForex, true);
+                    if (change.gt(this.maxForexChange)) {
+                        raise(
+                            "forex_frozen",
+                            "The forex moved above the max, fetchPrice keeps the last one",
+                            {
+                                forex: ethers.utils.formatEther(forex),
+                                lastGoodForex: ethers.utils.formatEther(lastGoodForex),
+                            }
+                        );
+                    }
+                }
+            } catch (error) {
+                if (error.code != "CALL_EXCEPTION") throw error;
+                raise("forex_reverted", `Forex ${chainLinkForex} reverts`);
+            }
+        }
+
+        // The current price against the last good one, which fetchPrice serves when it does not update it
+        let directPrice;
+        try {
+            directPrice = await priceFeed.callStatic.getDirectPrice(token);
+        } catch (error) {
+            if (error.code != "CALL_EXCEPTION") throw error;
+            raise("direct_price_reverted", "getDirectPrice reverts");
+        }
+        if (directPrice && !lastGoodForex.isZero()) {
+            const lastGoodPrice = (await priceFeed.lastGoodPrice(token)).mul(_1e18).div(lastGoodForex);
+            const deviation = getDeviation(directPrice, lastGoodPrice).mul(BPS).div(_1e18);
+            if (deviation.gt(this.options.maxDeviation)) {
+                raise("price_deviation", `getDirectPrice is ${deviation} bps from the last good price`, {
+                    directPrice: ethers.utils.formatEther(directPrice),
+                    lastGoodPrice: ethers.utils.formatEther(lastGoodPrice),
+                    deviation: deviation.toNumber(),
+                });
+            }
+        }
+
+        return conditions;
+    }
+
+    // Emits the PriceFeed events since the last round, and follows the newly registered tokens
+    async watchEvents(latest) {
+        const {priceFeed} = this;
+        if (latest <= this.lastBlock) return;
+
+        const events = [];
+        for (const name of EVENTS) {
+            events.push(
+                ...(await priceFeed.queryFilter(priceFeed.filters[name](), this.lastBlock + 1, latest))
+            );
+        }
+        events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+        this.lastBlock = latest;
+
+        for (const event of events) {
+            const context = {blockNumber: event.blockNumber, transactionHash: event.transactionHash};
+            if (event.event == "PriceFeedStatusChanged") {
+                const status = STATUSES[event.args.newStatus];
+                await this.emit(status == "chainlinkWorking" ? "info" : "alert", {
+                    type: "status_changed",
+                    message: `PriceFeed status changed to ${status}`,
+                    status,
+                    ...context,
+                });
+            } else if (event.event == "RegisteredNewOracle") {
+                const token = ethers.utils.getAddress(event.args.token);
+                this.tokens.add(token);
+                await this.emit("info", {
+                    type: "oracle_registered",
+                    token,
+                    oracle: event.args.oracle,
+                    ...context,
+                });
+            } else {
+                const value =
+                    event.event == "LastGoodPriceUpdated"
+                        ? event.args._lastGoodPrice
+                        : event.args._lastGoodIndex;
+                await this.emit("info", {
+                    type: event.event == "LastGoodPriceUpdated" ? "last_good_price" : "last_good_forex",
+                    token: event.args.token,
+                    name: this.getName(event.args.token),
+                    value: ethers.utils.formatEther(value),
+                    ...context,
+                });
+            }
+        }
+    }
+
+    // Alerts the new conditions and resolves the cleared ones
+    async update(conditions, blockNumber) {
+        for (const [key, condition] of Object.entries(conditions)) {
+            if (!this.active[key]) await this.emit("alert", {...condition, blockNumber});
+        }
+        for (const [key, condition] of Object.entries(this.active)) {
+            if (!conditions[key]) await this.emit("resolved", {...condition, blockNumber});
+        }
+        this.active = conditions;
+    }
+
+    async emit(level, record) {
+        const line = {time: new Date().toISOString(), level, ...record};
+        console.log(JSON.stringify(line));
+        if (this.options.webhook && level != "info") await this.post(line);
+    }
+
+    // Posts a record to the webhook, logging the failures instead of stopping the monitor
+    post(record) {
+        const url = new URL(this.options.webhook);
+        const body = JSON.stringify(record);
+        const headers = {"Content-Type": "application/json", "Content-Length": Buffer.byteLength(body)};
+        return new Promise((resolve) => {
+            const request = (url.protocol == "https:" ? https : http).request(
+                url,
+                {method: "POST", headers, timeout: 5000},
+                (response) => {
+                    response.resume();
+                    if (response.statusCode >= 300) {
+                        console.error(`Webhook ${url.origin} answered ${response.statusCode}`);
+                    }
+                    resolve();
+                }
+            );
+            request.on("timeout", () => request.destroy(new Error("timed out")));
+            request.on("error", (error) => {
+                console.error(`Webhook ${url.origin} failed: ${error.message}`);
+                resolve();
+            });
+            request.end(body);
+        });
+    }
+
+    getName(token) {
+        return this.options.names[token.toLowerCase()] || token;
+    }
+}
+
+// PriceFeed._scaleChainlinkPriceByDigits
+function scale(answer, decimals) {
+    return decimals >= TARGET_DIGITS
+        ? answer.div(BigNumber.from(10).pow(decimals - TARGET_DIGITS))
+        : answer.mul(BigNumber.from(10).pow(TARGET_DIGITS - decimals));
+}
+
+// Relative gap in 1e18 precision, to reference, or to the larger value with toLarger
+function getDeviation(value, reference, toLarger = false) {
+    const [min, max] = value.lt(reference) ? [value, reference] : [reference, value];
+    const denominator = toLarger ? max : reference;
+    if (denominator.isZero()) return BigNumber.from(0);
+    return max.sub(min).mul(_1e18).div(denominator);
+}
+
+module.exports = PriceFeedMonitor;
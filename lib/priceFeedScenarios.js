@@ -0,0 +1,285 @@
+const {ethers, network} = require("hardhat");
+
+const {FixtureHelper} = require("../deployment/helpers/fixtureHelpers.js");
+
+// IPriceFeed.Status
+const STATUSES = ["chainlinkWorking", "chainlinkUntrusted"];
+
+// PriceFeedTesterSet sets the last good values of address(0), so the scenarios price that token
+const TOKEN = ethers.constants.AddressZero;
+
+// Mined without estimates, as a transaction is estimated before the ones it shares its block with are mined
+const GAS_LIMIT = 1000000;
+
+const STEP_INPUTS = [
+    "description",
+    "advance",
+    "usdPrice",
+    "usdPriceAge",
+    "usdPriceDecimals",
+    "oracleReverts",
+    "forex",
+    "forexAge",
+    "forexDecimals",
+    "forexRoundId",
+    "forexReverts",
+    "expect",
+];
+const EXPECTATIONS = [
+    "status",
+    "price",
+    "lastGoodPrice",
+    "lastGoodForex",
+    "statusChanged",
+    "priceUpdated",
+    "forexUpdated",
+    "reverts",
+];
+
+/*
+ * Plays a price scenario against PriceFeedTesterSet, the PriceFeed with setters for its state: a MockOracle
+ * gives the USD price and a MockAggregator the CHF forex. Each step moves the time forward, sets the mocks
+ * and calls fetchPrice, all mined in a single block so the round ages are exact, then checks the
+ * expectations of the step. See the README for the scenario format. Each scenario runs from a snapshot,
+ * reverted after it.
+ */
+class PriceFeedScenarioRunner {
+    static validate(scenario) {
+        if (!scenario.name) throw "The scenario has no name";
+        if (!Array.isArray(scenario.steps) || scenario.steps.length == 0)
+            throw `${scenario.name} has no steps`;
+        if (!scenario.oracle || scenario.oracle.price === undefined)
+            throw `${scenario.name} has no oracle price`;
+        if (scenario.forex !== null && (!scenario.forex || scenario.forex.price === undefined)) {
+            throw `${scenario.name} has no forex price, set forex to null for a token without forex oracle`;
+        }
+
+        scenario.steps.forEach((step, i) => {
+            for (const key of Object.keys(step)) {
+                if (!STEP_INPUTS.includes(key)) throw `${scenario.name}, step ${i + 1}: unknown input ${key}`;
+            }
+            for (const key of Object.keys(step.expect || {})) {
+                if (!EXPECTATIONS.includes(key))
+                    throw `${scenario.name}, step ${i + 1}: unknown expectation ${key}`;
+            }
+            if (scenario.forex === null && Object.keys(step).some((key) => key.startsWith("forex"))) {
+                throw `${scenario.name}, step ${i + 1}: the token has no forex oracle`;
+            }
+        });
+    }
+
+    async run(scenario) {
+        PriceFeedScenarioRunner.validate(scenario);
+
+        const snapshot = await FixtureHelper.takeSnapshot();
+        try {
+            return await this.play(scenario);
+        } finally {
+            await FixtureHelper.revertToSnapshot(snapshot);
+        }
+    }
+
+    async play(scenario) {
+        const deploy = FixtureHelper.deployContract;
+        this.priceFeed = await deploy("PriceFeedTesterSet");
+        this.oracle = await deploy("MockOracle");
+        this.forex = scenario.forex === null ? undefined : await deploy("MockAggregator");
+        this.state = {
+            time: (await ethers.provider.getBlock("latest")).timestamp,
+            // The decimals of the mocks
+            usdPriceDecimals: 8,
+            forexDecimals: 8,
+            forexRoundId: 0,
+            oracleReverts: false,
+            forexReverts: false,
+        };
+
+        const {oracle} = scenario;
+        const forex = scenario.forex || {};
+        const registration = await this.mineStep(
+            {
+                advance: 1,
+                usdPrice: oracle.price,
+                usdPriceDecimals: oracle.decimals,
+                forex: forex.price,
+                forexDecimals: forex.decimals,
+            },
+            () => this.register(scenario.initial || {})
+        );
+        if (registration.some((receipt) => receipt.status == 0)) {
+            throw `${scenario.name}: addOracle reverted, it needs a valid forex and a current oracle`;
+        }
+
+        const steps = [];
+        for (const [i, step] of scenario.steps.entries()) {
+            const receipts = await this.mineStep(step, () => [
+                this.priceFeed.fetchPrice(TOKEN, {gasLimit: GAS_LIMIT}),
+            ]);
+            const actual = await this.readState(receipts[receipts.length - 1]);
+            steps.push({
+                step: i + 1,
+                description: step.description,
+                actual,
+                failures: this.check(step.expect || {}, actual),
+            });
+        }
+
+        return {name: scenario.name, passed: steps.every((step) => step.failures.length == 0), steps};
+    }
+
+    // Registers the token, with the initial status and last good values of the scenario if any
+    register(initial) {
+        const {priceFeed} = this;
+        const overrides = {gasLimit: GAS_LIMIT};
+        // setAddresses only checks the admin is a contract, the deployer registers the token as owner
+        const calls = [
+            priceFeed.setAddresses(this.oracle.address, overrides),
+            priceFeed.addOracle(
+                TOKEN,
+                this.oracle.address,
+                this.forex ? this.forex.address : ethers.constants.AddressZero,
+                overrides
+            ),
+        ];
+        if (initial.status !== undefined) {
+            calls.push(priceFeed.setStatus(STATUSES.indexOf(initial.status), overrides));
+        }
+        if (initial.lastGoodPrice !== undefined) {
+            calls.push(priceFeed.setLastGoodPrice(ethers.utils.parseEther(initial.lastGoodPrice), overrides));
+        }
+        if (initial.lastGoodForex !== undefined) {
+            calls.push(priceFeed.setLastGoodForex(ethers.utils.parseEther(initial.lastGoodForex), overrides));
+        }
+        return calls;
+    }
+
+    /*
+     * Mines the mock updates of a step and the transactions of send in a block at the time of the step, and
+     * returns the receipts of the latter
+     */
+    async mineStep(step, send) {
+        const latest = (await ethers.provider.getBlock("latest")).timestamp;
+        const time = Math.max(this.state.time + (step.advance === undefined ? 1 : step.advance), latest + 1);
+        this.state.time = time;
+
+        await network.provider.send("evm_setAutomine", [false]);
+        try {
+            const updates = await this.sendUpdates(step, time);
+            const txs = [];
+            for (const tx of send()) {
+                txs.push(await tx);
+            }
+            await network.provider.send("evm_mine", [time]);
+
+            for (const tx of updates) {
+                await tx.wait();
+            }
+            const receipts = [];
+            for (const tx of txs) {
+                receipts.push(await tx.wait().catch((error) => getFailedReceipt(error)));
+            }
+            return receipts;
+        } finally {
+            await network.provider.send("evm_setAutomine", [true]);
+        }
+    }
+
+    // Sets the mocks to the inputs of a step. A new price or forex is a round updated at the step time.
+    async sendUpdates(step, time) {
+        const {oracle, forex, state} = this;
+        const overrides = {gasLimit: GAS_LIMIT};
+        const txs = [];
+
+        if (step.usdPriceDecimals !== undefined) {
+            state.usdPriceDecimals = step.usdPriceDecimals;
+            txs.push(await oracle.setDecimals(step.usdPriceDecimals, overrides));
+        }
+        if (step.usdPrice !== undefined) {
+            const answer = ethers.utils.parseUnits(`${step.usdPrice}`, state.usdPriceDecimals);
+            txs.push(await oracle.setPrice(answer, overrides));
+        }
+        if (step.usdPrice !== undefined || step.usdPriceAge !== undefined) {
+            txs.push(await oracle.setUpdateTime(time - (step.usdPriceAge || 0), overrides));
+        }
+        if (step.oracleReverts !== undefined && step.oracleReverts != state.oracleReverts) {
+            state.oracleReverts = step.oracleReverts;
+            txs.push(await oracle.setLatestRevert(overrides));
+        }
+
+        if (!forex) return txs;
+
+        if (step.forexDecimals !== undefined) {
+            state.forexDecimals = step.forexDecimals;
+            txs.push(await forex.setDecimals(step.forexDecimals, overrides));
+        }
+        if (step.forex !== undefined) {
+            const answer = ethers.utils.parseUnits(`${step.forex}`, state.forexDecimals);
+            txs.push(await forex.setPrice(answer, overrides));
+        }
+        if (step.forex !== undefined || step.forexRoundId !== undefined) {
+            state.forexRoundId = step.forexRoundId !== undefined ? step.forexRoundId : state.forexRoundId + 1;
+            txs.push(await forex.setLatestRoundId(state.forexRoundId, overrides));
+        }
+        if (step.forex !== undefined || step.forexAge !== undefined) {
+            txs.push(await forex.setUpdateTime(time - (step.forexAge || 0), overrides));
+        }
+        if (step.forexReverts !== undefined && step.forexReverts != state.forexReverts) {
+            state.forexReverts = step.forexReverts;
+            txs.push(await forex.setLatestRevert(overrides));
+        }
+        return txs;
+    }
+
+    // fetchPrice returns the last good price over the last good forex it leaves, whichever branch it takes
+    async readState(receipt) {
+        const {priceFeed} = this;
+        const lastGoodPrice = await priceFeed.lastGoodPrice(TOKEN);
+        const lastGoodForex = await priceFeed.lastGoodForex(TOKEN);
+        // A reverted transaction has no events
+        const emitted = (name) => (receipt.events || []).some((event) => event.event == name);
+
+        return {
+            status: STATUSES[await priceFeed.status()],
+            price: lastGoodForex.isZero()
+                ? undefined
+                : ethers.utils.formatEther(
+                      lastGoodPrice.mul(ethers.constants.WeiPerEther).div(lastGoodForex)
+                  ),
+            lastGoodPrice: ethers.utils.formatEther(lastGoodPrice),
+            lastGoodForex: ethers.utils.formatEther(lastGoodForex),
+            statusChanged: emitted("PriceFeedStatusChanged"),
+            priceUpdated: emitted("LastGoodPriceUpdated"),
+            forexUpdated: emitted("LastGoodForexUpdated"),
+            reverts: receipt.status == 0,
+        };
+    }
+
+    // Amounts match when the actual one, truncated to the decimals of the expected one, is equal to it
+    check(expect, actual) {
+        const failures = [];
+        if (actual.reverts && expect.reverts === undefined) failures.push("fetchPrice reverted");
+        for (const [name, expected] of Object.entries(expect)) {
+            const matches =
+                typeof expected == "boolean" || name == "status"
+                    ? actual[name] === expected
+                    : actual[name] !== undefined && truncate(actual[name], `${expected}`) == `${expected}`;
+            if (!matches) failures.push(`${name} is ${actual[name]}, expected ${expected}`);
+        }
+        return failures;
+    }
+}
+
+// The receipt of a transaction mined reverted, which ethers throws
+function getFailedReceipt(error) {
+    if (error.code != "CALL_EXCEPTION" || !error.receipt) throw error;
+    return error.receipt;
+}
+
+function truncate(value, reference) {
+    const decimals = (reference.split(".")[1] || "").length;
+    const [integer, fraction = ""] = value.split(".");
+    if (decimals == 0) return integer;
+    return `${integer}.${fraction.padEnd(decimals, "0").slice(0, decimals)}`;
+}
+
+module.exports = PriceFeedScenarioRunner;
@@ -0,0 +1,93 @@
+const {ethers} = require("hardhat");
+
+const {requireRedeemable, getRedemptionHints, estimateRedemptionFee} = require("../sdk/src/redemption.js");
+
+const {BigNumber} = ethers;
+
+const DECIMAL_PRECISION = ethers.constants.WeiPerEther;
+
+/*
+ * Redeems DCHF for collateral through TroveManager.redeemCollateral, with the hints computed on-chain.
+ * contracts holds troveManager, sortedTroves, hintHelpers, priceFeed and dfrancParameters.
+ */
+class RedemptionClient {
+    constructor(contracts, signer, options = {}) {
+        this.contracts = contracts;
+        this.signer = signer;
+        this.options = {
+            // Troves redeemed from at most, 0 for no limit
+            maxIterations: 0,
+            ...options,
+        };
+        this.latestRandomSeed = 0;
+    }
+
+    /*
+     * Redeems up to DCHFAmount, truncated to what the troves can take without leaving a trove below the
+     * minimum net debt. maxFeePercentage is in 1e18 precision, like TroveManager expects it.
+     */
+    async redeem(asset, DCHFAmount, maxFeePercentage) {
+        const feeFloor = await this.contracts.dfrancParameters.REDEMPTION_FEE_FLOOR(asset);
+        if (feeFloor.gt(maxFeePercentage) || DECIMAL_PRECISION.lt(maxFeePercentage)) {
+            throw `The max fee must be between ${formatPercent(feeFloor)} and 100%`;
+        }
+
+        const quote = await this.quote(asset, DCHFAmount);
+        if (quote.rate.gt(maxFeePercentage)) {
+            throw `Redemption fee of ${formatPercent(quote.rate)} exceeds the max fee of ${formatPercent(
+                maxFeePercentage
+            )}`;
+        }
+
+        const tx = await this.contracts.troveManager
+            .connect(this.signer)
+            .redeemCollateral(
+                asset,
+                quote.DCHFAmount,
+                quote.hints.firstRedemptionHint,
+                quote.hints.upperPartialRedemptionHint,
+                quote.hints.lowerPartialRedemptionHint,
+                quote.hints.partialRedemptionHintNICR,
+                this.options.maxIterations,
+                maxFeePercentage
+            );
+        const receipt = await tx.wait();
+
+        const event = receipt.events.find((e) => e.event == "Redemption");
+        return {quote, tx, receipt, redemption: event && event.args};
+    }
+
+    // Checks the redemption is allowed, then computes its hints and its expected fee
+    async quote(asset, DCHFAmount) {
+        await requireRedeemable(this.contracts, asset, this.signer.address);
+
+        const price = await this.contracts.priceFeed.callStatic.fetchPrice(asset);
+        const hints = await getRedemptionHints(
+            this.contracts,
+            asset,
+            DCHFAmount,
+            price,
+            this.options.maxIterations,
+            this.latestRandomSeed
+        );
+        this.latestRandomSeed = hints.latestRandomSeed;
+        if (hints.truncatedDCHFAmount.isZero()) throw "No trove can be redeemed from";
+
+        const fee = await estimateRedemptionFee(this.contracts, asset, hints.truncatedDCHFAmount, price);
+
+        return {
+            asset,
+            price,
+            requestedDCHFAmount: DCHFAmount,
+            DCHFAmount: hints.truncatedDCHFAmount,
+            hints,
+            ...fee,
+        };
+    }
+}
+
+function formatPercent(rate) {
+    return `${ethers.utils.formatUnits(BigNumber.from(rate), 16)}%`;
+}
+
+module.exports = RedemptionClient;
@@ -0,0 +1,158 @@
+const {ethers} = require("hardhat");
+
+const ParameterManager = require("./parameterManager.js");
+
+// Contracts owned by ADMIN_MULTI after giveContractsOwnerships, by deployment output name
+const OWNED_CONTRACTS = {
+    adminContract: "AdminContract",
+    priceFeed: "PriceFeed",
+    dfrancParameters: "DfrancParameters",
+    troveManager: "TroveManager",
+    borrowerOperations: "BorrowerOperations",
+    hintHelpers: "HintHelpers",
+    feeContract: "FeeContract",
+};
+
+// Change file actions, as the contract call they are made of
+const ACTIONS = {
+    addCollateral: ({asset, oracle, chainlinkIndex, redemptionLockInDays = 14}) => [
+        "adminContract",
+        "addNewCollateral",
+        [asset, oracle, chainlinkIndex, redemptionLockInDays],
+    ],
+    setParameter: ({asset, parameter, value}) => {
+        const {arg} = ParameterManager.parseValue(parameter, value);
+        return ["dfrancParameters", ParameterManager.PARAMETERS[parameter].setter, [asset, arg]];
+    },
+    removeRedemptionBlock: ({asset}) => ["dfrancParameters", "removeRedemptionBlock", [asset]],
+    whitelistLiquidator: ({account}) => ["troveManager", "addUserToWhitelistLiquidation", [account]],
+    unwhitelistLiquidator: ({account}) => ["troveManager", "removeUserFromWhitelistLiquidation", [account]],
+    setLiquidationWhitelist: ({enabled}) => ["troveManager", "setLiquidationWhitelistStatus", [enabled]],
+    whitelistRedeemer: ({account}) => ["troveManager", "addUserToWhitelistRedemption", [account]],
+    unwhitelistRedeemer: ({account}) => ["troveManager", "removeUserFromWhitelistRedemption", [account]],
+    setRedemptionWhitelist: ({enabled}) => ["troveManager", "setRedemptionWhitelistStatus", [enabled]],
+    call: ({contract, method, args = []}) => [contract, method, args],
+};
+
+/*
+ * Turns the actions of a change file into a Safe Transaction Builder batch, sent by the Safe owning the
+ * contracts. Every transaction has its calldata and its decoded method and arguments, which the Transaction
+ * Builder shows to the signers, and preview() describes each call with the state it changes and whether it
+ * succeeds from the Safe against the current state.
+ */
+class SafeBatch {
+    // contracts maps the OWNED_CONTRACTS names to their ethers contracts; resolve turns names into addresses
+    constructor(contracts, safe, resolve = (value) => value) {
+        this.contracts = contracts;
+        this.safe = ethers.utils.getAddress(safe);
+        this.resolve = resolve;
+        this.calls = [];
+    }
+
+    add(action) {
+        const {type, description, ...fields} = action;
+        if (!ACTIONS[type])
+            throw `Unknown action ${type}, expected one of ${Object.keys(ACTIONS).join(", ")}`;
+
+        for (const key of ["asset", "oracle", "chainlinkIndex", "account"]) {
+            if (fields[key] !== undefined) fields[key] = this.resolve(fields[key]);
+        }
+        const [contractName, method, args] = ACTIONS[type](fields);
+
+        const contract = this.contracts[contractName];
+        if (!contract) {
+            throw `${contractName} is not a contract owned by the Safe: ${Object.keys(this.contracts).join(
+                ", "
+            )}`;
+        }
+        const fragment = contract.interface.getFunction(method);
+        const data = contract.interface.encodeFunctionData(fragment, args);
+
+        this.calls.push({action, contractName, contract, fragment, args, data, description});
+    }
+
+    // The batch JSON imported by the Transaction Builder Safe app
+    build(chainId, name, description = "") {
+        return {
+            version: "1.0",
+            chainId: String(chainId),
+            createdAt: Date.now(),
+            meta: {
+                name,
+                description,
+                txBuilderVersion: "1.10.0",
+                createdFromSafeAddress: this.safe,
+                createdFromOwnerAddress: "",
+            },
+            transactions: this.calls.map(({contract, fragment, args, data}) => ({
+                to: contract.address,
+                value: "0",
+                data,
+                contractMethod: {
+                    inputs: fragment.inputs.map((input, i) => ({
+                        internalType: input.type,
+                        name: input.name || `arg${i}`,
+                        type: input.type,
+                    })),
+                    name: fragment.name,
+                    payable: fragment.payable,
+                },
+                contractInputsValues: Object.fromEntries(
+                    fragment.inputs.map((input, i) => [input.name || `arg${i}`, formatInput(args[i])])
+                ),
+            })),
+        };
+    }
+
+    /*
+     * One entry per call: its decoded call, the owner of the contract, the parameter before and after for
+     * setParameter, and the result of an eth_call from the Safe. Calls are simulated one by one against the
+     * current state, so a call relying on an earlier one of the batch, e.g. a parameter of a new collateral,
+     * may fail here and succeed once executed.
+     */
+    async preview() {
+        const entries = [];
+        for (const {action, contractName, contract, fragment, args, data, description} of this.calls) {
+            const entry = {
+                description: description || action.type,
+                to: `${contractName} (${contract.address})`,
+                call: `${fragment.name}(${fragment.inputs
+                    .map((input, i) => `${input.name || input.type}: ${formatInput(args[i])}`)
+                    .join(", ")})`,
+                notes: [],
+            };
+
+            const owner = await contract.owner();
+            if (owner.toLowerCase() != this.safe.toLowerCase()) {
+                entry.notes.push(`${contractName} is owned by ${owner}, not the Safe`);
+            }
+
+            if (action.type == "setParameter") {
+                const before = await contract[action.parameter](args[0]);
+                const {value} = ParameterManager.parseValue(action.parameter, action.value);
+                entry.notes.push(
+                    `${action.parameter}: ${ParameterManager.format(action.parameter, before)} -> ` +
+                        ParameterManager.format(action.parameter, value)
+                );
+            }
+
+            try {
+                await ethers.provider.call({from: this.safe, to: contract.address, data});
+                entry.simulation = "succeeds";
+            } catch (error) {
+                entry.simulation = `reverts: ${error.reason || error.message || error}`;
+            }
+            entries.push(entry);
+        }
+        return entries;
+    }
+}
+
+// The Transaction Builder takes every value as a string, arrays as JSON
+function formatInput(value) {
+    if (Array.isArray(value)) return JSON.stringify(value.map(formatInput));
+    return ethers.BigNumber.isBigNumber(value) ? value.toString() : String(value);
+}
+
+module.exports = SafeBatch;
+module.exports.OWNED_CONTRACTS = OWNED_CONTRACTS;
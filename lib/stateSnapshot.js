@@ -0,0 +1,115 @@
+const {ethers} = require("hardhat");
+
+/*
+ * Read-only snapshot of the state of every collateral, all read at the same block: the ActivePool balances,
+ * the TCR, the ratios and fees of DfrancParameters and TroveManager, and every trove from MultiTroveGetter.
+ * contracts holds troveManager, activePool, dfrancParameters, priceFeed and multiTroveGetter.
+ */
+class StateSnapshot {
+    constructor(contracts, options = {}) {
+        this.contracts = contracts;
+        this.options = {
+            // Troves read per MultiTroveGetter call
+            pageSize: 100,
+            // Block of the snapshot, defaults to the latest one
+            blockTag: undefined,
+            ...options,
+        };
+    }
+
+    /*
+     * Collaterals with an oracle registered in PriceFeed: the tokens of its RegisteredNewOracle events, and
+     * the known assets, e.g. from the deployment params, which may predate fromBlock.
+     */
+    async findCollaterals(knownAssets = [], fromBlock = 0) {
+        const {priceFeed} = this.contracts;
+
+        const events = await priceFeed.queryFilter(priceFeed.filters.RegisteredNewOracle(), fromBlock);
+        const candidates = [...knownAssets, ...events.map((event) => event.args.token)].map((asset) =>
+            ethers.utils.getAddress(asset)
+        );
+
+        const collaterals = [];
+        for (const asset of new Set(candidates)) {
+            const {isRegistered} = await priceFeed.registeredOracles(asset, {
+                blockTag: this.options.blockTag,
+            });
+            if (isRegistered) collaterals.push(asset);
+        }
+        return collaterals;
+    }
+
+    async run(assets) {
+        const block = await ethers.provider.getBlock(this.options.blockTag || "latest");
+        // Pins every read to the block, so the snapshot is consistent
+        this.overrides = {blockTag: block.number};
+
+        const snapshot = {
+            chainId: (await ethers.provider.getNetwork()).chainId,
+            blockNumber: block.number,
+            timestamp: block.timestamp,
+            collaterals: [],
+        };
+        for (const asset of assets) {
+            snapshot.collaterals.push(await this.getCollateral(asset));
+        }
+        return snapshot;
+    }
+
+    async getCollateral(asset) {
+        const {troveManager, activePool, dfrancParameters, priceFeed} = this.contracts;
+        const overrides = this.overrides;
+
+        const price = await priceFeed.callStatic.fetchPrice(asset, overrides);
+
+        return {
+            asset,
+            price: price.toString(),
+            activePool: {
+                assetBalance: (await activePool.getAssetBalance(asset, overrides)).toString(),
+                DCHFDebt: (await activePool.getDCHFDebt(asset, overrides)).toString(),
+            },
+            TCR: (await troveManager.getTCR(asset, price, overrides)).toString(),
+            parameters: {
+                LIMIT_CR: (await dfrancParameters.LIMIT_CR(asset, overrides)).toString(),
+                LIQ_MCR: (await dfrancParameters.LIQ_MCR(asset, overrides)).toString(),
+                BORROW_MCR: (await dfrancParameters.BORROW_MCR(asset, overrides)).toString(),
+                TVL_CAP: (await dfrancParameters.TVL_CAP(asset, overrides)).toString(),
+            },
+            baseRate: (await troveManager.baseRate(asset, overrides)).toString(),
+            borrowingRate: (await troveManager.getBorrowingRateWithDecay(asset, overrides)).toString(),
+            redemptionRate: (await troveManager.getRedemptionRateWithDecay(asset, overrides)).toString(),
+            redemptionBlock: (await dfrancParameters.redemptionBlock(asset, overrides)).toNumber(),
+            troves: await this.getTroves(asset, price),
+        };
+    }
+
+    // Every trove of the asset, from the head of the sorted troves, so by decreasing ICR
+    async getTroves(asset, price) {
+        const {multiTroveGetter} = this.contracts;
+
+        const troves = [];
+        for (;;) {
+            const page = await multiTroveGetter.getMultipleSortedTroves(
+                asset,
+                troves.length,
+                this.options.pageSize,
+                this.overrides
+            );
+            for (const trove of page) {
+                troves.push({
+                    owner: trove.owner,
+                    debt: trove.debt.toString(),
+                    coll: trove.coll.toString(),
+                    // DfrancMath._computeCR
+                    ICR: trove.debt.isZero()
+                        ? ethers.constants.MaxUint256.toString()
+                        : trove.coll.mul(price).div(trove.debt).toString(),
+                });
+            }
+            if (page.length < this.options.pageSize) return troves;
+        }
+    }
+}
+
+module.exports = StateSnapshot;
@@ -0,0 +1,208 @@
+import {BigNumber, BigNumberish, Contract, ContractReceipt, Signer, providers} from "ethers";
+
+export type SignerOrProvider = Signer | providers.Provider;
+
+export type TroveStatus =
+    | "nonExistent"
+    | "active"
+    | "closedByOwner"
+    | "closedByLiquidation"
+    | "closedByRedemption";
+
+export interface DfrancAddresses {
+    troveManager: string;
+    borrowerOperations: string;
+    sortedTroves: string;
+    hintHelpers: string;
+    collSurplusPool: string;
+    priceFeed: string;
+    dfrancParameters: string;
+}
+
+export interface DfrancContracts {
+    troveManager: Contract;
+    borrowerOperations: Contract;
+    sortedTroves: Contract;
+    hintHelpers: Contract;
+    collSurplusPool: Contract;
+    priceFeed: Contract;
+    dfrancParameters: Contract;
+}
+
+export type DeploymentOutput = {[name: string]: {address?: string}};
+
+export interface Trove {
+    borrower: string;
+    status: TroveStatus;
+    debt: BigNumber;
+    coll: BigNumber;
+    ICR: BigNumber;
+    NICR: BigNumber;
+    collSurplus: BigNumber;
+}
+
+export interface Fees {
+    borrowingRate: BigNumber;
+    redemptionRate: BigNumber;
+    borrowingFeeFloor: BigNumber;
+    maxBorrowingFee: BigNumber;
+    redemptionFeeFloor: BigNumber;
+}
+
+export interface InsertHints {
+    upperHint: string;
+    lowerHint: string;
+    latestRandomSeed: BigNumber;
+}
+
+export interface RedemptionHints {
+    firstRedemptionHint: string;
+    partialRedemptionHintNICR: BigNumber;
+    truncatedDCHFAmount: BigNumber;
+    upperPartialRedemptionHint: string;
+    lowerPartialRedemptionHint: string;
+    latestRandomSeed: BigNumber;
+}
+
+export interface RedemptionFee {
+    rate: BigNumber;
+    assetDrawn: BigNumber;
+    fee: BigNumber;
+    assetReceived: BigNumber;
+}
+
+export interface RedemptionQuote extends RedemptionFee {
+    asset: string;
+    price: BigNumber;
+    DCHFAmount: BigNumber;
+    hints: RedemptionHints;
+}
+
+export type TroveOperation = "open" | "adjust" | "close" | "redeem" | "liquidate";
+
+export interface TroveHistoryEntry {
+    blockNumber: number;
+    timestamp: number;
+    transactionHash: string;
+    logIndex: number;
+    operation: TroveOperation;
+    debt: BigNumber;
+    coll: BigNumber;
+    debtChange: BigNumber;
+    collChange: BigNumber;
+    borrowingFee: BigNumber;
+    collSurplus: BigNumber;
+    redemption?: {DCHFAmount: BigNumber; assetSent: BigNumber; assetFee: BigNumber};
+}
+
+export interface BlockRange {
+    fromBlock?: providers.BlockTag;
+    toBlock?: providers.BlockTag;
+}
+
+export interface TroveAdjustment {
+    collChange?: BigNumberish;
+    debtChange?: BigNumberish;
+    maxFeePercentage?: BigNumberish;
+}
+
+export declare const ETH: string;
+export declare const TROVE_STATUS: TroveStatus[];
+
+export declare class Dfranc {
+    constructor(addresses: DfrancAddresses, signerOrProvider: SignerOrProvider);
+
+    readonly addresses: DfrancAddresses;
+    readonly contracts: DfrancContracts;
+
+    static fromDeploymentOutput(
+        output: string | DeploymentOutput,
+        signerOrProvider: SignerOrProvider
+    ): Dfranc;
+
+    connect(signer: Signer): Dfranc;
+
+    getPrice(asset: string): Promise<BigNumber>;
+    getTrove(asset: string, borrower?: string): Promise<Trove>;
+    getTroveHistory(asset: string, borrower?: string, options?: BlockRange): Promise<TroveHistoryEntry[]>;
+    getTCR(asset: string): Promise<BigNumber>;
+    getFees(asset: string): Promise<Fees>;
+
+    openTrove(
+        asset: string,
+        collAmount: BigNumberish,
+        DCHFAmount: BigNumberish,
+        options?: {maxFeePercentage?: BigNumberish}
+    ): Promise<ContractReceipt>;
+    adjustTrove(asset: string, adjustment: TroveAdjustment): Promise<ContractReceipt>;
+    closeTrove(asset: string): Promise<ContractReceipt>;
+    claimCollateral(asset: string): Promise<ContractReceipt>;
+
+    quoteRedemption(
+        asset: string,
+        DCHFAmount: BigNumberish,
+        maxIterations?: number
+    ): Promise<RedemptionQuote>;
+    redeem(
+        asset: string,
+        DCHFAmount: BigNumberish,
+        maxFeePercentage: BigNumberish,
+        maxIterations?: number
+    ): Promise<ContractReceipt>;
+    liquidate(asset: string, borrowers: string | string[]): Promise<ContractReceipt>;
+}
+
+export declare const abis: {
+    TroveManager: string[];
+    BorrowerOperations: string[];
+    SortedTroves: string[];
+    HintHelpers: string[];
+    CollSurplusPool: string[];
+    PriceFeed: string[];
+    DfrancParameters: string[];
+    ERC20: string[];
+};
+
+type HintContracts = Pick<DfrancContracts, "troveManager" | "sortedTroves" | "hintHelpers">;
+
+export declare const hints: {
+    NICR_PRECISION: BigNumber;
+    computeNICR(coll: BigNumberish, debt: BigNumberish): BigNumber;
+    getInsertHints(
+        contracts: HintContracts,
+        asset: string,
+        NICR: BigNumberish,
+        randomSeed?: BigNumberish
+    ): Promise<InsertHints>;
+};
+
+export declare const history: {
+    getTroveHistory(
+        contracts: Pick<DfrancContracts, "borrowerOperations" | "troveManager" | "collSurplusPool">,
+        asset: string,
+        borrower: string,
+        options?: BlockRange
+    ): Promise<TroveHistoryEntry[]>;
+};
+
+export declare const redemption: {
+    requireRedeemable(
+        contracts: Pick<DfrancContracts, "troveManager" | "dfrancParameters">,
+        asset: string,
+        redeemer: string
+    ): Promise<void>;
+    getRedemptionHints(
+        contracts: HintContracts,
+        asset: string,
+        DCHFAmount: BigNumber,
+        price: BigNumberish,
+        maxIterations?: number,
+        randomSeed?: BigNumberish
+    ): Promise<RedemptionHints>;
+    estimateRedemptionFee(
+        contracts: Pick<DfrancContracts, "troveManager">,
+        asset: string,
+        DCHFAmount: BigNumber,
+        price: BigNumber
+    ): Promise<RedemptionFee>;
+};
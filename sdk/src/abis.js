@@ -0,0 +1,85 @@
+// Human-readable ABIs of the functions the SDK calls, so it does not depend on the Hardhat artifacts
+
+const TroveManager = [
+    "function dchfToken() view returns (address)",
+    "function Troves(address, address) view returns (address asset, uint256 debt, uint256 coll, uint8 status, uint128 arrayIndex)",
+    "function getEntireDebtAndColl(address _asset, address _borrower) view returns (uint256 debt, uint256 coll)",
+    "function getCurrentICR(address _asset, address _borrower, uint256 _price) view returns (uint256)",
+    "function getNominalICR(address _asset, address _borrower) view returns (uint256)",
+    "function getTCR(address _asset, uint256 _price) view returns (uint256)",
+    "function getEntireSystemColl(address _asset) view returns (uint256)",
+    "function getEntireSystemDebt(address _asset) view returns (uint256)",
+    "function getTroveOwnersCount(address _asset) view returns (uint256)",
+    "function getBorrowingRateWithDecay(address _asset) view returns (uint256)",
+    "function getBorrowingFeeWithDecay(address _asset, uint256 _DCHFDebt) view returns (uint256)",
+    "function getRedemptionRateWithDecay(address _asset) view returns (uint256)",
+    "function isRedemptionWhitelisted() view returns (bool)",
+    "function redemptionWhitelist(address) view returns (bool)",
+    "function isLiquidationWhitelisted() view returns (bool)",
+    "function liquidationWhitelist(address) view returns (bool)",
+    "function liquidate(address _asset, address _borrower)",
+    "function liquidateTroves(address _asset, uint256 _n)",
+    "function batchLiquidateTroves(address _asset, address[] _troveArray)",
+    "function redeemCollateral(address _asset, uint256 _DCHFamount, address _firstRedemptionHint, address _upperPartialRedemptionHint, address _lowerPartialRedemptionHint, uint256 _partialRedemptionHintNICR, uint256 _maxIterations, uint256 _maxFeePercentage)",
+    "event TroveUpdated(address indexed _asset, address indexed _borrower, uint256 _debt, uint256 _coll, uint8 _operation)",
+    "event TroveLiquidated(address indexed _asset, address indexed _borrower, uint256 _debt, uint256 _coll, uint8 _operation)",
+    "event Liquidation(address indexed _asset, uint256 _liquidatedDebt, uint256 _liquidatedColl, uint256 _protocolCompensation)",
+    "event Redemption(address indexed _asset, uint256 _attemptedMONmount, uint256 _actualMONmount, uint256 _AssetSent, uint256 _AssetFee)",
+];
+
+const BorrowerOperations = [
+    "function openTrove(address _asset, uint256 _tokenAmount, uint256 _maxFeePercentage, uint256 _DCHFamount, address _upperHint, address _lowerHint) payable",
+    "function adjustTrove(address _asset, uint256 _assetSent, uint256 _maxFeePercentage, uint256 _collWithdrawal, uint256 _DCHFChange, bool _isDebtIncrease, address _upperHint, address _lowerHint) payable",
+    "function closeTrove(address _asset)",
+    "function claimCollateral(address _asset)",
+    "event TroveUpdated(address indexed _asset, address indexed _borrower, uint256 _debt, uint256 _coll, uint8 operation)",
+    "event DCHFBorrowingFeePaid(address indexed _asset, address indexed _borrower, uint256 _DCHFFee)",
+];
+
+const SortedTroves = [
+    "function getLast(address _asset) view returns (address)",
+    "function getPrev(address _asset, address _id) view returns (address)",
+    "function findInsertPosition(address _asset, uint256 _NICR, address _prevId, address _nextId) view returns (address, address)",
+];
+
+const HintHelpers = [
+    "function getApproxHint(address _asset, uint256 _CR, uint256 _numTrials, uint256 _inputRandomSeed) view returns (address hintAddress, uint256 diff, uint256 latestRandomSeed)",
+    "function getRedemptionHints(address _asset, uint256 _DCHFamount, uint256 _price, uint256 _maxIterations) view returns (address firstRedemptionHint, uint256 partialRedemptionHintNICR, uint256 truncatedDCHFamount)",
+];
+
+const CollSurplusPool = [
+    "function getCollateral(address _asset, address _account) view returns (uint256)",
+    "event CollBalanceUpdated(address indexed _account, uint256 _newBalance)",
+];
+
+// fetchPrice is not a view, the SDK calls it with callStatic
+const PriceFeed = ["function fetchPrice(address _token) returns (uint256)"];
+
+const DfrancParameters = [
+    "function LIQ_MCR(address _collateral) view returns (uint256)",
+    "function BORROW_MCR(address _collateral) view returns (uint256)",
+    "function LIMIT_CR(address _collateral) view returns (uint256)",
+    "function MIN_NET_DEBT(address _collateral) view returns (uint256)",
+    "function BORROWING_FEE_FLOOR(address _collateral) view returns (uint256)",
+    "function MAX_BORROWING_FEE(address _collateral) view returns (uint256)",
+    "function REDEMPTION_FEE_FLOOR(address _collateral) view returns (uint256)",
+    "function redemptionBlock(address _collateral) view returns (uint256)",
+];
+
+const ERC20 = [
+    "function decimals() view returns (uint8)",
+    "function balanceOf(address) view returns (uint256)",
+    "function allowance(address, address) view returns (uint256)",
+    "function approve(address, uint256) returns (bool)",
+];
+
+module.exports = {
+    TroveManager,
+    BorrowerOperations,
+    SortedTroves,
+    HintHelpers,
+    CollSurplusPool,
+    PriceFeed,
+    DfrancParameters,
+    ERC20,
+};
@@ -0,0 +1,265 @@
+const fs = require("fs");
+const {BigNumber, Contract, constants} = require("ethers");
+
+const abis = require("./abis.js");
+const {computeNICR, getInsertHints} = require("./hints.js");
+const {getTroveHistory} = require("./history.js");
+const {requireRedeemable, getRedemptionHints, estimateRedemptionFee} = require("./redemption.js");
+
+const ETH = constants.AddressZero;
+
+// ITroveManager.Status
+const TROVE_STATUS = ["nonExistent", "active", "closedByOwner", "closedByLiquidation", "closedByRedemption"];
+
+// Deployment output entries the SDK needs, with their ABI
+const CONTRACTS = {
+    troveManager: abis.TroveManager,
+    borrowerOperations: abis.BorrowerOperations,
+    sortedTroves: abis.SortedTroves,
+    hintHelpers: abis.HintHelpers,
+    collSurplusPool: abis.CollSurplusPool,
+    priceFeed: abis.PriceFeed,
+    dfrancParameters: abis.DfrancParameters,
+};
+
+/*
+ * Entry point of the SDK. Amounts are BigNumberish in 18 decimals, fees and ratios are in 1e18 precision,
+ * and the asset address(0) is ETH. Transactions are sent by the signer and resolve to their receipt.
+ */
+class Dfranc {
+    constructor(addresses, signerOrProvider) {
+        this.addresses = addresses;
+        this.signerOrProvider = signerOrProvider;
+        this.contracts = {};
+        for (const [name, abi] of Object.entries(CONTRACTS)) {
+            if (!addresses[name]) throw `${name} address is missing`;
+            this.contracts[name] = new Contract(addresses[name], abi, signerOrProvider);
+        }
+        this.randomSeed = 0;
+    }
+
+    // output is a deployment output JSON, as an object or a path (deployment/output/mainnetDeployOutput.json)
+    static fromDeploymentOutput(output, signerOrProvider) {
+        const state = typeof output == "string" ? JSON.parse(fs.readFileSync(output)) : output;
+
+        const addresses = {};
+        for (const name of Object.keys(CONTRACTS)) {
+            if (state[name]) addresses[name] = state[name].address;
+        }
+        return new Dfranc(addresses, signerOrProvider);
+    }
+
+    connect(signer) {
+        return new Dfranc(this.addresses, signer);
+    }
+
+    // --- Reads ---
+
+    async getPrice(asset) {
+        return this.contracts.priceFeed.callStatic.fetchPrice(asset);
+    }
+
+    async getTrove(asset, borrower) {
+        const {troveManager} = this.contracts;
+        if (!borrower) borrower = await this.getSignerAddress();
+
+        const trove = await troveManager.Troves(borrower, asset);
+        const price = await this.getPrice(asset);
+
+        return {
+            borrower,
+            status: TROVE_STATUS[trove.status],
+            debt: trove.debt,
+            coll: trove.coll,
+            ICR: await troveManager.getCurrentICR(asset, borrower, price),
+            NICR: computeNICR(trove.coll, trove.debt),
+            collSurplus: await this.contracts.collSurplusPool.getCollateral(asset, borrower),
+        };
+    }
+
+    // Operations on the trove, oldest first, see history.js
+    async getTroveHistory(asset, borrower, options = {}) {
+        if (!borrower) borrower = await this.getSignerAddress();
+        return getTroveHistory(this.contracts, asset, borrower, options);
+    }
+
+    async getTCR(asset) {
+        return this.contracts.troveManager.getTCR(asset, await this.getPrice(asset));
+    }
+
+    async getFees(asset) {
+        const {troveManager, dfrancParameters} = this.contracts;
+        return {
+            borrowingRate: await troveManager.getBorrowingRateWithDecay(asset),
+            redemptionRate: await troveManager.getRedemptionRateWithDecay(asset),
+            borrowingFeeFloor: await dfrancParameters.BORROWING_FEE_FLOOR(asset),
+            maxBorrowingFee: await dfrancParameters.MAX_BORROWING_FEE(asset),
+            redemptionFeeFloor: await dfrancParameters.REDEMPTION_FEE_FLOOR(asset),
+        };
+    }
+
+    // --- Troves ---
+
+    // maxFeePercentage defaults to MAX_BORROWING_FEE of the asset
+    async openTrove(asset, collAmount, DCHFAmount, options = {}) {
+        const {troveManager, borrowerOperations} = this.contracts;
+        collAmount = BigNumber.from(collAmount);
+        DCHFAmount = BigNumber.from(DCHFAmount);
+
+        const fee = await troveManager.getBorrowingFeeWithDecay(asset, DCHFAmount);
+        const {upperHint, lowerHint} = await this.getHints(
+            asset,
+            computeNICR(collAmount, DCHFAmount.add(fee))
+        );
+        const maxFeePercentage = await this.getMaxBorrowingFee(asset, options.maxFeePercentage);
+
+        await this.approveCollateral(asset, collAmount);
+        const tx = await borrowerOperations.openTrove(
+            asset,
+            collAmount,
+            maxFeePercentage,
+            DCHFAmount,
+            upperHint,
+            lowerHint,
+            {value: asset == ETH ? collAmount : 0}
+        );
+        return tx.wait();
+    }
+
+    /*
+     * collChange and debtChange are signed: a positive collChange deposits collateral and a negative one
+     * withdraws it, a positive debtChange borrows DCHF and a negative one repays it.
+     */
+    async adjustTrove(asset, {collChange = 0, debtChange = 0, maxFeePercentage} = {}) {
+        const {troveManager, borrowerOperations} = this.contracts;
+        collChange = BigNumber.from(collChange);
+        debtChange = BigNumber.from(debtChange);
+
+        const borrower = await this.getSignerAddress();
+        const {debt, coll} = await troveManager.getEntireDebtAndColl(asset, borrower);
+
+        const isDebtIncrease = debtChange.gt(0);
+        const fee = isDebtIncrease
+            ? await troveManager.getBorrowingFeeWithDecay(asset, debtChange)
+            : BigNumber.from(0);
+        const NICR = computeNICR(coll.add(collChange), debt.add(debtChange).add(fee));
+        const {upperHint, lowerHint} = await this.getHints(asset, NICR);
+
+        const collDeposit = collChange.gt(0) ? collChange : BigNumber.from(0);
+        const collWithdrawal = collChange.lt(0) ? collChange.abs() : BigNumber.from(0);
+
+        await this.approveCollateral(asset, collDeposit);
+        const tx = await borrowerOperations.adjustTrove(
+            asset,
+            collDeposit,
+            isDebtIncrease ? await this.getMaxBorrowingFee(asset, maxFeePercentage) : 0,
+            collWithdrawal,
+            debtChange.abs(),
+            isDebtIncrease,
+            upperHint,
+            lowerHint,
+            {value: asset == ETH ? collDeposit : 0}
+        );
+        return tx.wait();
+    }
+
+    // The signer must hold the DCHF debt of the trove
+    async closeTrove(asset) {
+        const tx = await this.contracts.borrowerOperations.closeTrove(asset);
+        return tx.wait();
+    }
+
+    // Claims the collateral left by a redemption of the trove
+    async claimCollateral(asset) {
+        const tx = await this.contracts.borrowerOperations.claimCollateral(asset);
+        return tx.wait();
+    }
+
+    // --- Redemptions and liquidations ---
+
+    async quoteRedemption(asset, DCHFAmount, maxIterations = 0) {
+        await requireRedeemable(this.contracts, asset, await this.getSignerAddress());
+
+        const price = await this.getPrice(asset);
+        const hints = await getRedemptionHints(
+            this.contracts,
+            asset,
+            BigNumber.from(DCHFAmount),
+            price,
+            maxIterations,
+            this.randomSeed
+        );
+        this.randomSeed = hints.latestRandomSeed;
+        if (hints.truncatedDCHFAmount.isZero()) throw "No trove can be redeemed from";
+
+        const fee = await estimateRedemptionFee(this.contracts, asset, hints.truncatedDCHFAmount, price);
+        return {asset, price, DCHFAmount: hints.truncatedDCHFAmount, hints, ...fee};
+    }
+
+    // Redeems the truncated amount of quoteRedemption, and throws if its fee exceeds maxFeePercentage
+    async redeem(asset, DCHFAmount, maxFeePercentage, maxIterations = 0) {
+        const quote = await this.quoteRedemption(asset, DCHFAmount, maxIterations);
+        if (quote.rate.gt(maxFeePercentage))
+            throw `Redemption fee rate ${quote.rate} exceeds ${maxFeePercentage}`;
+
+        const tx = await this.contracts.troveManager.redeemCollateral(
+            asset,
+            quote.DCHFAmount,
+            quote.hints.firstRedemptionHint,
+            quote.hints.upperPartialRedemptionHint,
+            quote.hints.lowerPartialRedemptionHint,
+            quote.hints.partialRedemptionHintNICR,
+            maxIterations,
+            maxFeePercentage
+        );
+        return tx.wait();
+    }
+
+    // borrowers is a borrower or a list of borrowers; the liquidator pays their debt in DCHF
+    async liquidate(asset, borrowers) {
+        const {troveManager} = this.contracts;
+        const tx = Array.isArray(borrowers)
+            ? await troveManager.batchLiquidateTroves(asset, borrowers)
+            : await troveManager.liquidate(asset, borrowers);
+        return tx.wait();
+    }
+
+    // --- Helpers ---
+
+    async getHints(asset, NICR) {
+        const hints = await getInsertHints(this.contracts, asset, NICR, this.randomSeed);
+        this.randomSeed = hints.latestRandomSeed;
+        return hints;
+    }
+
+    async getMaxBorrowingFee(asset, maxFeePercentage) {
+        if (maxFeePercentage !== undefined) return maxFeePercentage;
+        return this.contracts.dfrancParameters.MAX_BORROWING_FEE(asset);
+    }
+
+    // BorrowerOperations pulls ERC20 collateral with transferFrom, in the decimals of the token
+    async approveCollateral(asset, amount) {
+        if (asset == ETH || amount.isZero()) return;
+
+        const token = new Contract(asset, abis.ERC20, this.signerOrProvider);
+        const decimals = await token.decimals();
+        const tokenAmount =
+            decimals < 18
+                ? amount.div(BigNumber.from(10).pow(18 - decimals))
+                : amount.mul(BigNumber.from(10).pow(decimals - 18));
+
+        const owner = await this.getSignerAddress();
+        const spender = this.contracts.borrowerOperations.address;
+        if ((await token.allowance(owner, spender)).gte(tokenAmount)) return;
+
+        const tx = await token.approve(spender, tokenAmount);
+        await tx.wait();
+    }
+
+    async getSignerAddress() {
+        if (!this.signerOrProvider.getAddress) throw "A signer is needed, use connect(signer)";
+        return this.signerOrProvider.getAddress();
+    }
+}
+
+module.exports = {Dfranc, ETH, TROVE_STATUS};
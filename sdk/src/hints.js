@@ -0,0 +1,39 @@
+const {BigNumber, constants} = require("ethers");
+
+// DfrancMath.NICR_PRECISION
+const NICR_PRECISION = BigNumber.from(10).pow(20);
+
+function computeNICR(coll, debt) {
+    if (BigNumber.from(debt).isZero()) return constants.MaxUint256;
+    return BigNumber.from(coll).mul(NICR_PRECISION).div(debt);
+}
+
+/*
+ * Upper and lower hints for a trove of nominal ICR NICR: HintHelpers.getApproxHint picks the closest of
+ * random troves, then SortedTroves.findInsertPosition walks from it to the exact position.
+ * contracts holds hintHelpers, sortedTroves and troveManager.
+ */
+async function getInsertHints(contracts, asset, NICR, randomSeed = 0) {
+    const {hintHelpers, sortedTroves, troveManager} = contracts;
+
+    // 15 * sqrt(n) trials finds a hint a few troves away from the position, as in Liquity
+    const trovesCount = (await troveManager.getTroveOwnersCount(asset)).toNumber();
+    const numTrials = Math.ceil(15 * Math.sqrt(trovesCount));
+
+    const {hintAddress, latestRandomSeed} = await hintHelpers.getApproxHint(
+        asset,
+        NICR,
+        numTrials,
+        randomSeed
+    );
+    const [upperHint, lowerHint] = await sortedTroves.findInsertPosition(
+        asset,
+        NICR,
+        hintAddress,
+        hintAddress
+    );
+
+    return {upperHint, lowerHint, latestRandomSeed};
+}
+
+module.exports = {NICR_PRECISION, computeNICR, getInsertHints};
@@ -0,0 +1,91 @@
+const {constants} = require("ethers");
+
+// BorrowerOperations.BorrowerOperation and ITroveManager.TroveManagerOperation, as history operations
+const BORROWER_OPERATIONS = ["open", "close", "adjust"];
+const TROVE_MANAGER_OPERATIONS = ["liquidate", "redeem"];
+
+const byLogOrder = (a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+
+/*
+ * Ledger of a trove, oldest first, from the TroveUpdated events of BorrowerOperations and TroveManager. Every
+ * entry has the debt and coll after the operation and their change, the borrowing fee paid in the same
+ * transaction, the totals of the Redemption event of a redemption, and the CollSurplusPool balance of the
+ * borrower when a redemption closed the trove and credited it the collateral left. A liquidation is read from
+ * TroveLiquidated, which has the debt and coll seized. fromBlock and toBlock bound the search.
+ */
+async function getTroveHistory(contracts, asset, borrower, {fromBlock = 0, toBlock = "latest"} = {}) {
+    const {borrowerOperations, troveManager, collSurplusPool} = contracts;
+    const query = (contract, filter) => contract.queryFilter(filter, fromBlock, toBlock);
+
+    const [borrowerUpdates, managerUpdates, liquidations, redemptionEvents, fees, surpluses] =
+        await Promise.all([
+            query(borrowerOperations, borrowerOperations.filters.TroveUpdated(asset, borrower)),
+            query(troveManager, troveManager.filters.TroveUpdated(asset, borrower)),
+            query(troveManager, troveManager.filters.TroveLiquidated(asset, borrower)),
+            query(troveManager, troveManager.filters.Redemption(asset)),
+            query(borrowerOperations, borrowerOperations.filters.DCHFBorrowingFeePaid(asset, borrower)),
+            query(collSurplusPool, collSurplusPool.filters.CollBalanceUpdated(borrower)),
+        ]);
+
+    const events = [
+        ...borrowerUpdates.map((event) => ({event, operation: BORROWER_OPERATIONS[event.args.operation]})),
+        // A liquidation is read from TroveLiquidated, its TroveUpdated only zeroes the trove
+        ...managerUpdates
+            .map((event) => ({event, operation: TROVE_MANAGER_OPERATIONS[event.args._operation]}))
+            .filter(({operation}) => operation == "redeem"),
+        ...liquidations.map((event) => ({event, operation: "liquidate"})),
+    ].sort((a, b) => byLogOrder(a.event, b.event));
+
+    const redemptions = {};
+    for (const event of redemptionEvents) {
+        redemptions[event.transactionHash] = {
+            DCHFAmount: event.args._actualMONmount,
+            assetSent: event.args._AssetSent,
+            assetFee: event.args._AssetFee,
+        };
+    }
+
+    const timestamps = {};
+    for (const blockNumber of new Set(events.map(({event}) => event.blockNumber))) {
+        timestamps[blockNumber] = (await troveManager.provider.getBlock(blockNumber)).timestamp;
+    }
+
+    const history = [];
+    let debt = constants.Zero;
+    let coll = constants.Zero;
+    for (const {event, operation} of events) {
+        const {blockNumber, logIndex, transactionHash} = event;
+        const newDebt = operation == "liquidate" ? constants.Zero : event.args._debt;
+        const newColl = operation == "liquidate" ? constants.Zero : event.args._coll;
+        // What was seized, even when fromBlock is after the previous entry
+        const [oldDebt, oldColl] =
+            operation == "liquidate" ? [event.args._debt, event.args._coll] : [debt, coll];
+
+        const fee = fees.find((e) => e.transactionHash == transactionHash);
+        // A redemption closing the trove credits the collateral left to CollSurplusPool
+        const surplus =
+            operation == "redeem" && newDebt.isZero()
+                ? surpluses.find((e) => e.transactionHash == transactionHash)
+                : undefined;
+
+        history.push({
+            blockNumber,
+            timestamp: timestamps[blockNumber],
+            transactionHash,
+            logIndex,
+            operation,
+            debt: newDebt,
+            coll: newColl,
+            debtChange: newDebt.sub(oldDebt),
+            collChange: newColl.sub(oldColl),
+            borrowingFee: fee ? fee.args._DCHFFee : constants.Zero,
+            collSurplus: surplus ? surplus.args._newBalance : constants.Zero,
+            redemption: redemptions[transactionHash],
+        });
+        debt = newDebt;
+        coll = newColl;
+    }
+    return history;
+}
+
+module.exports = {getTroveHistory};
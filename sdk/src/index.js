@@ -0,0 +1,7 @@
+const {Dfranc, ETH, TROVE_STATUS} = require("./dfranc.js");
+const abis = require("./abis.js");
+const hints = require("./hints.js");
+const history = require("./history.js");
+const redemption = require("./redemption.js");
+
+module.exports = {Dfranc, ETH, TROVE_STATUS, abis, hints, history, redemption};
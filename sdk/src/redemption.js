@@ -0,0 +1,74 @@
+const {constants} = require("ethers");
+
+const {getInsertHints} = require("./hints.js");
+
+const DECIMAL_PRECISION = constants.WeiPerEther;
+// TroveManager.BETA, by which the redeemed fraction of the supply is divided to raise the base rate
+const BETA = 2;
+
+// Throws if TroveManager.redeemCollateral would reject the redeemer for the redemption block or the whitelist
+async function requireRedeemable(contracts, asset, redeemer) {
+    const {troveManager, dfrancParameters} = contracts;
+
+    const redemptionBlock = await dfrancParameters.redemptionBlock(asset);
+    const {timestamp} = await troveManager.provider.getBlock("latest");
+    if (redemptionBlock.gt(timestamp)) {
+        throw `Redemptions of ${asset} are blocked until ${new Date(
+            redemptionBlock.toNumber() * 1000
+        ).toUTCString()}`;
+    }
+
+    if (
+        (await troveManager.isRedemptionWhitelisted()) &&
+        !(await troveManager.redemptionWhitelist(redeemer))
+    ) {
+        throw `${redeemer} is not in the redemption whitelist`;
+    }
+}
+
+/*
+ * Hints of TroveManager.redeemCollateral: the first trove redeemed from and the NICR of the last one, from
+ * HintHelpers.getRedemptionHints, and the position of that trove once partially redeemed.
+ * truncatedDCHFAmount is what the troves can take without leaving one below the minimum net debt.
+ */
+async function getRedemptionHints(contracts, asset, DCHFAmount, price, maxIterations = 0, randomSeed = 0) {
+    const {firstRedemptionHint, partialRedemptionHintNICR, truncatedDCHFamount} =
+        await contracts.hintHelpers.getRedemptionHints(asset, DCHFAmount, price, maxIterations);
+
+    const {upperHint, lowerHint, latestRandomSeed} = await getInsertHints(
+        contracts,
+        asset,
+        partialRedemptionHintNICR,
+        randomSeed
+    );
+
+    return {
+        firstRedemptionHint,
+        partialRedemptionHintNICR,
+        truncatedDCHFAmount: truncatedDCHFamount,
+        upperPartialRedemptionHint: upperHint,
+        lowerPartialRedemptionHint: lowerHint,
+        latestRandomSeed,
+    };
+}
+
+/*
+ * The fee is charged at the redemption rate once the redemption raised the base rate, so the decayed
+ * rate of getRedemptionRateWithDecay is raised by the redeemed fraction of the debt, as in TroveManager.
+ */
+async function estimateRedemptionFee(contracts, asset, DCHFAmount, price) {
+    const {troveManager} = contracts;
+
+    const decayedRate = await troveManager.getRedemptionRateWithDecay(asset);
+    const totalDebt = await troveManager.getEntireSystemDebt(asset);
+    const assetDrawn = DCHFAmount.mul(DECIMAL_PRECISION).div(price);
+
+    const redeemedFraction = assetDrawn.mul(price).div(totalDebt);
+    let rate = decayedRate.add(redeemedFraction.div(BETA));
+    if (rate.gt(DECIMAL_PRECISION)) rate = DECIMAL_PRECISION;
+
+    const fee = assetDrawn.mul(rate).div(DECIMAL_PRECISION);
+    return {rate, assetDrawn, fee, assetReceived: assetDrawn.sub(fee)};
+}
+
+module.exports = {requireRedeemable, getRedemptionHints, estimateRedemptionFee};
@@ -0,0 +1,64 @@
+const {task, types} = require("hardhat/config");
+
+const {loadDeployment} = require("../deployment/helpers/deploymentLoader.js");
+
+task("buyback-keeper", "Buys back MON with the DCHF fees of FeeContract when the quotes allow it")
+    .addOptionalParam("output", "Deployment output JSON, defaults to the OUTPUT_FILE of the network params")
+    .addOptionalParam("params", "Network whose deployment params to use, defaults to the selected one")
+    .addOptionalParam("interval", "Seconds between two rounds", 300, types.int)
+    .addOptionalParam("minDchf", "DCHF balance of FeeContract needed for a buyback", "1000")
+    .addOptionalParam(
+        "maxTwapDeviation",
+        "Max gap between the spot MON price and its TWAP, in bps",
+        200,
+        types.int
+    )
+    .addOptionalParam("fromBlock", "First block searched for BuybackMON events", undefined, types.int)
+    .addOptionalParam(
+        "proposalDir",
+        "Directory of the Safe batches, when the keeper is not the owner",
+        "./buybacks"
+    )
+    .addFlag("once", "Run a single round and exit")
+    .addFlag("dryRun", "Only log whether a buyback would be sent")
+    .setAction(async (taskArgs, hre) => {
+        const {ethers} = hre;
+        const {configParams, deploymentState} = loadDeployment(taskArgs, hre);
+        const externalAddrs = configParams.externalAddrs || {};
+        // FeeContract and DCHF may be external to the deployment, as in deployDchfCoreMainnet
+        const feeContractAddress = deploymentState.feeContract
+            ? deploymentState.feeContract.address
+            : externalAddrs.FEE_CONTRACT;
+        const dchfAddress = deploymentState.DCHFToken
+            ? deploymentState.DCHFToken.address
+            : externalAddrs.DCHF_TOKEN;
+        if (!feeContractAddress)
+            throw "No feeContract in the deployment output nor FEE_CONTRACT in the params";
+        if (!dchfAddress) throw "No DCHFToken in the deployment output nor DCHF_TOKEN in the params";
+
+        const BuybackKeeper = require("../lib/buybackKeeper.js");
+        const PollingLoop = require("../lib/pollingLoop.js");
+        const contracts = {
+            feeContract: await ethers.getContractAt("FeeContract", feeContractAddress),
+            dchfToken: dchfAddress,
+        };
+        const [signer] = await ethers.getSigners();
+
+        const keeper = new BuybackKeeper(contracts, signer, {
+            minDCHF: ethers.utils.parseEther(taskArgs.minDchf),
+            maxTwapDeviation: taskArgs.maxTwapDeviation,
+            fromBlock: taskArgs.fromBlock,
+            proposalDir: taskArgs.proposalDir,
+            dryRun: taskArgs.dryRun,
+        });
+
+        console.log(`Keeper ${signer.address} on ${hre.network.name}, FeeContract ${feeContractAddress}`);
+
+        if (taskArgs.once) {
+            await keeper.runOnce();
+            return;
+        }
+
+        PollingLoop.stopOnInterrupt(keeper, "Stopping after the current round");
+        await keeper.start(taskArgs.interval);
+    });
@@ -0,0 +1,19 @@
+const {task} = require("hardhat/config");
+
+const {loadDeployment} = require("../deployment/helpers/deploymentLoader.js");
+
+task("check-wiring", "Checks on-chain that the contracts of a deployment output are wired together")
+    .addOptionalParam("output", "Deployment output JSON, defaults to the OUTPUT_FILE of the network params")
+    .addOptionalParam(
+        "params",
+        "Network whose deployment params list the collaterals, defaults to the selected one"
+    )
+    .setAction(async (taskArgs, hre) => {
+        const WiringVerifier = require("../deployment/helpers/wiringVerifier.js");
+        const {configParams, outputFile, deploymentState} = loadDeployment(taskArgs, hre);
+
+        console.log(`Checking ${outputFile} on ${hre.network.name}`);
+        const results = await new WiringVerifier(deploymentState, configParams).run();
+
+        if (!WiringVerifier.printResults(results)) throw "Wiring check failed";
+    });
@@ -0,0 +1,28 @@
+const {task} = require("hardhat/config");
+const fs = require("fs");
+const path = require("path");
+
+task("deploy", "Deploys the Dfranc system with the params of the selected network")
+    .addFlag("fresh", "Ignore the previous deployment output and deploy everything again")
+    .setAction(async (taskArgs, hre) => {
+        const {ethers, network} = hre;
+        const paramsFile = path.join(
+            __dirname,
+            `../deployment/deploymentParams/deploymentParams.${network.name}.js`
+        );
+        if (!fs.existsSync(paramsFile)) throw `No deployment params for network ${network.name}`;
+
+        const configParams = require(paramsFile);
+        const DeploymentPipeline = require("../deployment/helpers/deploymentPipeline.js");
+
+        console.log(new Date().toUTCString());
+        const deployerWallet = (await ethers.getSigners())[0];
+        console.log(`deployer address: ${deployerWallet.address}`);
+        console.log(`network: ${network.name} (${(await ethers.provider.getNetwork()).chainId})`);
+        console.log(`deployerETHBalance before: ${await ethers.provider.getBalance(deployerWallet.address)}`);
+        console.log(`steps: ${configParams.DEPLOYMENT_STEPS.join(" -> ")}`);
+
+        await new DeploymentPipeline(configParams, deployerWallet).run(taskArgs.fresh);
+
+        console.log(`deployerETHBalance after: ${await ethers.provider.getBalance(deployerWallet.address)}`);
+    });
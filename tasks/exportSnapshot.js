@@ -0,0 +1,62 @@
+const {task, types} = require("hardhat/config");
+const fs = require("fs");
+const path = require("path");
+
+const {loadDeployment} = require("../deployment/helpers/deploymentLoader.js");
+
+const SNAPSHOTS_DIR = "./snapshots";
+
+task("export-snapshot", "Writes a JSON snapshot of the state of every collateral and all its troves")
+    .addOptionalParam("output", "Deployment output JSON, defaults to the OUTPUT_FILE of the network params")
+    .addOptionalParam("params", "Network whose deployment params to use, defaults to the selected one")
+    .addOptionalParam("assets", "Comma separated collaterals, defaults to those registered in PriceFeed")
+    .addOptionalParam("fromBlock", "First block searched for RegisteredNewOracle events", 0, types.int)
+    .addOptionalParam("block", "Block of the snapshot, defaults to the latest one", undefined, types.int)
+    .addOptionalParam("pageSize", "Troves read per MultiTroveGetter call", 100, types.int)
+    .addOptionalParam("file", "Snapshot file, defaults to snapshots/<network>-<block>.json")
+    .setAction(async (taskArgs, hre) => {
+        const {ethers} = hre;
+        const {configParams, addressOf} = loadDeployment(taskArgs, hre);
+
+        const StateSnapshot = require("../lib/stateSnapshot.js");
+        const contracts = {
+            troveManager: await ethers.getContractAt("TroveManager", addressOf("troveManager")),
+            activePool: await ethers.getContractAt("ActivePool", addressOf("activePool")),
+            dfrancParameters: await ethers.getContractAt("DfrancParameters", addressOf("dfrancParameters")),
+            priceFeed: await ethers.getContractAt("PriceFeed", addressOf("priceFeed")),
+            multiTroveGetter: await ethers.getContractAt("MultiTroveGetter", addressOf("multiTroveGetter")),
+        };
+        const exporter = new StateSnapshot(contracts, {
+            pageSize: taskArgs.pageSize,
+            blockTag: taskArgs.block,
+        });
+
+        const assets = taskArgs.assets
+            ? taskArgs.assets.split(",").map((asset) => asset.trim())
+            : await exporter.findCollaterals(
+                  (configParams.collaterals || []).map((collateral) => collateral.asset),
+                  taskArgs.fromBlock
+              );
+        if (assets.length == 0) throw "No collateral found, use --assets";
+
+        const snapshot = {network: hre.network.name, ...(await exporter.run(assets))};
+
+        // Names the collaterals the deployment params know
+        for (const collateral of snapshot.collaterals) {
+            const known = (configParams.collaterals || []).find(
+                (c) => c.asset.toLowerCase() == collateral.asset.toLowerCase()
+            );
+            if (known) collateral.name = known.name;
+        }
+
+        const file = path.resolve(
+            taskArgs.file || path.join(SNAPSHOTS_DIR, `${hre.network.name}-${snapshot.blockNumber}.json`)
+        );
+        fs.mkdirSync(path.dirname(file), {recursive: true});
+        fs.writeFileSync(file, JSON.stringify(snapshot, null, 2));
+
+        const troves = snapshot.collaterals.reduce((sum, collateral) => sum + collateral.troves.length, 0);
+        console.log(
+            `${assets.length} collaterals, ${troves} troves at block ${snapshot.blockNumber}: ${file}`
+        );
+    });
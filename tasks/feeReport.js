@@ -0,0 +1,65 @@
+const {task, types} = require("hardhat/config");
+const fs = require("fs");
+const path = require("path");
+
+const {loadDeployment} = require("../deployment/helpers/deploymentLoader.js");
+
+const REPORTS_DIR = "./reports";
+
+task("fee-report", "Reconciles the fees of FeeContract with the DCHF swapped and the MON burnt, as a CSV")
+    .addOptionalParam("output", "Deployment output JSON, defaults to the OUTPUT_FILE of the network params")
+    .addOptionalParam("params", "Network whose deployment params to use, defaults to the selected one")
+    .addOptionalParam("fromBlock", "First block of the report", 0, types.int)
+    .addOptionalParam("toBlock", "Last block of the report, defaults to the latest one", undefined, types.int)
+    .addOptionalParam("period", "day, week or month", "month")
+    .addOptionalParam("batchSize", "Blocks per eth_getLogs call", 5000, types.int)
+    .addOptionalParam("file", "CSV file, defaults to reports/fees-<network>-<from>-<to>.csv")
+    .setAction(async (taskArgs, hre) => {
+        const {ethers} = hre;
+        const {configParams, deploymentState, addressOf} = loadDeployment(taskArgs, hre);
+        const externalAddrs = configParams.externalAddrs || {};
+        // FeeContract and DCHF may be external to the deployment, as in deployDchfCoreMainnet
+        const feeContractAddress = deploymentState.feeContract
+            ? deploymentState.feeContract.address
+            : externalAddrs.FEE_CONTRACT;
+        const dchfAddress = deploymentState.DCHFToken
+            ? deploymentState.DCHFToken.address
+            : externalAddrs.DCHF_TOKEN;
+        if (!feeContractAddress)
+            throw "No feeContract in the deployment output nor FEE_CONTRACT in the params";
+        if (!dchfAddress) throw "No DCHFToken in the deployment output nor DCHF_TOKEN in the params";
+
+        const FeeReport = require("../lib/feeReport.js");
+        const contracts = {
+            borrowerOperations: await ethers.getContractAt(
+                "BorrowerOperations",
+                addressOf("borrowerOperations")
+            ),
+            troveManager: await ethers.getContractAt("TroveManager", addressOf("troveManager")),
+            feeContract: await ethers.getContractAt("FeeContract", feeContractAddress),
+            dchfToken: dchfAddress,
+        };
+        const report = new FeeReport(contracts, {period: taskArgs.period, batchSize: taskArgs.batchSize});
+
+        const collaterals = [
+            {name: "ETH", asset: ethers.constants.AddressZero},
+            ...(configParams.collaterals || []).map(({name, asset}) => ({name, asset})),
+        ];
+        const {fromBlock, toBlock, rows} = await report.run(
+            collaterals,
+            taskArgs.fromBlock,
+            taskArgs.toBlock === undefined ? "latest" : taskArgs.toBlock
+        );
+
+        const file = path.resolve(
+            taskArgs.file || path.join(REPORTS_DIR, `fees-${hre.network.name}-${fromBlock}-${toBlock}.csv`)
+        );
+        fs.mkdirSync(path.dirname(file), {recursive: true});
+        fs.writeFileSync(file, FeeReport.toCSV(rows));
+
+        for (const row of rows.filter((row) => row.status != "ok")) {
+            console.log(`${row.period} ${row.token}: ${row.drift} unexplained by the fee flows`);
+        }
+        const periods = new Set(rows.map((row) => row.period)).size;
+        console.log(`${periods} periods from block ${fromBlock} to ${toBlock}: ${file}`);
+    });
@@ -0,0 +1,67 @@
+const {task, types} = require("hardhat/config");
+const fs = require("fs");
+const path = require("path");
+
+const {loadDeployment} = require("../deployment/helpers/deploymentLoader.js");
+
+const INDEXER_DIR = "./indexer";
+
+task("index-events", "Indexes the trove lifecycle events into a SQLite database")
+    .addOptionalParam("output", "Deployment output JSON, defaults to the OUTPUT_FILE of the network params")
+    .addOptionalParam("params", "Network whose deployment params to use, defaults to the selected one")
+    .addOptionalParam("db", "SQLite database, defaults to indexer/<network>.sqlite")
+    .addOptionalParam("fromBlock", "First block indexed when the database has no checkpoint", 0, types.int)
+    .addOptionalParam("toBlock", "Last block indexed, defaults to the confirmed head", undefined, types.int)
+    .addOptionalParam(
+        "confirmations",
+        "Blocks left behind the head, defaults to 0 on local networks",
+        undefined,
+        types.int
+    )
+    .addOptionalParam("batchSize", "Blocks per eth_getLogs call", 2000, types.int)
+    .addOptionalParam("interval", "Seconds between two runs with --follow", 15, types.int)
+    .addFlag("follow", "Keeps indexing new blocks until stopped")
+    .setAction(async (taskArgs, hre) => {
+        const {addressOf} = loadDeployment(taskArgs, hre);
+
+        // An optional dependency, as a native addon only this task uses
+        let Database;
+        try {
+            Database = require("better-sqlite3");
+        } catch (error) {
+            if (error.code != "MODULE_NOT_FOUND") throw error;
+            throw "index-events needs the optional better-sqlite3 package: npm install better-sqlite3";
+        }
+        const EventIndexer = require("../lib/eventIndexer.js");
+        const PollingLoop = require("../lib/pollingLoop.js");
+
+        const dbFile = path.resolve(taskArgs.db || path.join(INDEXER_DIR, `${hre.network.name}.sqlite`));
+        fs.mkdirSync(path.dirname(dbFile), {recursive: true});
+        const db = new Database(dbFile);
+
+        const local = ["hardhat", "localhost", "local"].includes(hre.network.name);
+        const indexer = new EventIndexer(
+            {
+                borrowerOperations: addressOf("borrowerOperations"),
+                troveManager: addressOf("troveManager"),
+                collSurplusPool: addressOf("collSurplusPool"),
+            },
+            db,
+            {
+                confirmations: taskArgs.confirmations !== undefined ? taskArgs.confirmations : local ? 0 : 12,
+                batchSize: taskArgs.batchSize,
+            }
+        );
+
+        if (!taskArgs.follow) {
+            const end = await indexer.run(taskArgs.fromBlock, taskArgs.toBlock);
+            console.log(`Indexed up to block ${end}: ${dbFile}`);
+            db.close();
+            return;
+        }
+
+        PollingLoop.stopOnInterrupt(indexer, "Stopping after the current run");
+        console.log(`Indexing into ${dbFile} every ${taskArgs.interval}s`);
+        await indexer.start(taskArgs.fromBlock, taskArgs.interval);
+        db.close();
+    });
@@ -0,0 +1,60 @@
+const {task, types} = require("hardhat/config");
+
+const {loadDeployment} = require("../deployment/helpers/deploymentLoader.js");
+
+task("liquidation-keeper", "Liquidates the troves below LIQ_MCR through LiquidatorDCHF when it is profitable")
+    .addOptionalParam(
+        "liquidator",
+        "LiquidatorDCHF address, defaults to liquidatorDCHF of the deployment output"
+    )
+    .addOptionalParam("output", "Deployment output JSON, defaults to the OUTPUT_FILE of the network params")
+    .addOptionalParam(
+        "params",
+        "Network whose deployment params list the collaterals, defaults to the selected one"
+    )
+    .addOptionalParam("assets", "Comma separated collaterals to watch, defaults to the params collaterals")
+    .addOptionalParam("interval", "Seconds between two rounds", 60, types.int)
+    .addOptionalParam("minProfit", "Minimum profit of a liquidation, in DCHF", "0")
+    .addOptionalParam("maxTroves", "Maximum troves liquidated in one transaction", 10, types.int)
+    .addOptionalParam("slippage", "Haircut applied to the Curve quote, in bps", 50, types.int)
+    .addFlag("once", "Run a single round and exit")
+    .addFlag("dryRun", "Only log the liquidations that would be sent")
+    .setAction(async (taskArgs, hre) => {
+        const {ethers} = hre;
+        const {configParams, addressOf} = loadDeployment(taskArgs, hre);
+
+        const liquidatorAddress = taskArgs.liquidator || addressOf("liquidatorDCHF");
+        const assets = taskArgs.assets
+            ? taskArgs.assets.split(",").map((asset) => asset.trim())
+            : (configParams.collaterals || []).map((collateral) => collateral.asset);
+        if (assets.length == 0) throw "No assets to watch, use --assets";
+
+        const LiquidationKeeper = require("../lib/liquidationKeeper.js");
+        const PollingLoop = require("../lib/pollingLoop.js");
+        const contracts = {
+            troveManager: await ethers.getContractAt("TroveManager", addressOf("troveManager")),
+            sortedTroves: await ethers.getContractAt("SortedTroves", addressOf("sortedTroves")),
+            priceFeed: await ethers.getContractAt("PriceFeed", addressOf("priceFeed")),
+            dfrancParameters: await ethers.getContractAt("DfrancParameters", addressOf("dfrancParameters")),
+            liquidatorDCHF: await ethers.getContractAt("LiquidatorDCHF", liquidatorAddress),
+        };
+        const [signer] = await ethers.getSigners();
+
+        const keeper = new LiquidationKeeper(contracts, signer, {
+            maxTroves: taskArgs.maxTroves,
+            minProfit: ethers.utils.parseEther(taskArgs.minProfit),
+            slippage: taskArgs.slippage,
+            dryRun: taskArgs.dryRun,
+        });
+
+        console.log(`Keeper ${signer.address} on ${hre.network.name}, liquidator ${liquidatorAddress}`);
+        console.log(`Watching ${assets.join(", ")}`);
+
+        if (taskArgs.once) {
+            await keeper.runOnce(assets);
+            return;
+        }
+
+        PollingLoop.stopOnInterrupt(keeper, "Stopping after the current round");
+        await keeper.start(assets, taskArgs.interval);
+    });
@@ -0,0 +1,30 @@
+const {task} = require("hardhat/config");
+const fs = require("fs");
+const path = require("path");
+
+const OUTPUT_FILE = "./deployment/output/localFixtureDeployOutput.json";
+
+task(
+    "deploy-local-fixture",
+    "Deploys the test fixture, with LiquidatorDCHF, FeeContract and their stand-ins, to a local Hardhat node"
+).setAction(async (taskArgs, hre) => {
+    const {chainId} = await hre.ethers.provider.getNetwork();
+    if (chainId != 31337) throw `deploy-local-fixture only runs on a Hardhat node, not on chain ${chainId}`;
+
+    const {FixtureHelper} = require("../deployment/helpers/fixtureHelpers.js");
+
+    // FeeContract goes first, so it receives the borrowing fee of the trove funding the DCHF pool
+    const contracts = await FixtureHelper.deployLiquidatorFixture(
+        await FixtureHelper.deployBuybackFixture(await FixtureHelper.deployDfrancFixture())
+    );
+    contracts.priceFeed = contracts.priceFeedTestnet;
+
+    const output = {};
+    for (const [name, contract] of Object.entries(contracts)) {
+        output[name] = {address: contract.address};
+    }
+    fs.writeFileSync(path.resolve(OUTPUT_FILE), JSON.stringify(output, null, 2));
+
+    console.log(`Deployed to ${hre.network.name}, addresses written to ${OUTPUT_FILE}`);
+    console.log(`Yearn vault collateral: ${contracts.yearnVault.address}`);
+});
@@ -0,0 +1,66 @@
+const {task} = require("hardhat/config");
+const fs = require("fs");
+
+const {loadDeployment} = require("../deployment/helpers/deploymentLoader.js");
+
+// Days redemptions of a new collateral are blocked for, DfrancParameters.REDEMPTION_BLOCK_DAY
+const DEFAULT_REDEMPTION_SAFETY = 14;
+
+task("onboard-collateral", "Deploys the oracle of a collateral if needed, adds it and applies its parameters")
+    .addOptionalParam("spec", "Collateral spec JSON, see the README")
+    .addOptionalParam("collateral", "Name of a collateral of the network params, instead of --spec")
+    .addOptionalParam("output", "Deployment output JSON, defaults to the OUTPUT_FILE of the network params")
+    .addOptionalParam("params", "Network whose deployment params to use, defaults to the selected one")
+    .addFlag("dryRun", "Only check the spec and print the steps")
+    .setAction(async (taskArgs, hre) => {
+        const {ethers} = hre;
+        const {configParams, outputFile, deploymentState, addressOf} = loadDeployment(taskArgs, hre);
+
+        let spec;
+        if (taskArgs.spec) {
+            spec = JSON.parse(fs.readFileSync(taskArgs.spec));
+        } else if (taskArgs.collateral) {
+            const collateral = (configParams.collaterals || []).find((c) => c.name == taskArgs.collateral);
+            if (!collateral) throw `No collateral ${taskArgs.collateral} in the network params`;
+            spec = {...collateral, oracleContract: (configParams.oracleContracts || {})[collateral.oracle]};
+        } else {
+            throw "Use --spec or --collateral";
+        }
+
+        // asset and chainlinkForex may be externalAddrs keys, e.g. GV_FRAX and CHAINLINK_USDCHF_PROXY
+        const externalAddrs = configParams.externalAddrs || {};
+        for (const field of ["asset", "chainlinkForex"]) {
+            if (externalAddrs[spec[field]]) spec[field] = externalAddrs[spec[field]];
+        }
+        if (spec.redemptionSafety === undefined) spec.redemptionSafety = DEFAULT_REDEMPTION_SAFETY;
+
+        const DeploymentHelper = require("../deployment/helpers/deploymentHelpers.js");
+        const CollateralOnboarding = require("../lib/collateralOnboarding.js");
+        const ParameterManager = require("../lib/parameterManager.js");
+
+        const [deployer] = await ethers.getSigners();
+        // The helper saves the deployment state to OUTPUT_FILE, so that is the file read here
+        const helper = new DeploymentHelper({...configParams, OUTPUT_FILE: outputFile}, deployer);
+        const contracts = {
+            adminContract: await ethers.getContractAt("AdminContract", addressOf("adminContract")),
+            priceFeed: await ethers.getContractAt("PriceFeed", addressOf("priceFeed")),
+            dfrancParameters: await ethers.getContractAt("DfrancParameters", addressOf("dfrancParameters")),
+        };
+        for (const name of Object.keys(contracts)) {
+            contracts[name] = contracts[name].connect(deployer);
+        }
+        const onboarding = new CollateralOnboarding(helper, contracts, deploymentState);
+
+        const {steps} = await onboarding.plan(spec);
+        console.log(`${spec.name} (${spec.asset}), from ${deployer.address}`);
+        for (const step of steps) {
+            console.log(`  ${step}`);
+        }
+        if (taskArgs.dryRun) return;
+
+        const values = await onboarding.run(spec);
+        console.log(`${spec.name} is a collateral:`);
+        for (const [name, value] of Object.entries(values)) {
+            console.log(`  ${name.padEnd(22)} ${ParameterManager.format(name, value)}`);
+        }
+    });
@@ -0,0 +1,113 @@
+const {task} = require("hardhat/config");
+
+const {loadDeployment} = require("../deployment/helpers/deploymentLoader.js");
+const ParameterManager = require("../lib/parameterManager.js");
+const {PARAMETERS} = ParameterManager;
+
+// Resolves the deployment params and DfrancParameters of the selected network, and the asset of --asset
+async function load(taskArgs, hre) {
+    const {ethers} = hre;
+    const {configParams, addressOf} = loadDeployment(taskArgs, hre);
+    const dfrancParameters = await ethers.getContractAt("DfrancParameters", addressOf("dfrancParameters"));
+
+    // --asset is an address, ETH, or the name of a collateral of the deployment params
+    const collaterals = configParams.collaterals || [];
+    const resolveAsset = (asset) => {
+        if (asset.toUpperCase() == "ETH") return {name: "ETH", asset: ethers.constants.AddressZero};
+        const known = collaterals.find(
+            (c) => c.name.toLowerCase() == asset.toLowerCase() || c.asset.toLowerCase() == asset.toLowerCase()
+        );
+        if (known) return {name: known.name, asset: known.asset};
+        if (!ethers.utils.isAddress(asset)) throw `Unknown collateral ${asset}`;
+        return {name: asset, asset};
+    };
+    const assets = taskArgs.asset
+        ? [resolveAsset(taskArgs.asset)]
+        : collaterals.map((c) => ({name: c.name, asset: c.asset}));
+    if (assets.length == 0) throw "No collateral in the deployment params, use --asset";
+
+    const [signer] = await ethers.getSigners();
+    return {manager: new ParameterManager(dfrancParameters, signer), assets, signer};
+}
+
+task("params:show", "Prints the DfrancParameters of the collaterals")
+    .addOptionalParam("asset", "Collateral address or name, ETH, defaults to those of the deployment params")
+    .addOptionalParam("output", "Deployment output JSON, defaults to the OUTPUT_FILE of the network params")
+    .addOptionalParam("params", "Network whose deployment params to use, defaults to the selected one")
+    .setAction(async (taskArgs, hre) => {
+        const {manager, assets} = await load(taskArgs, hre);
+
+        for (const {name, asset} of assets) {
+            console.log(`${name} (${asset})`);
+            if (!(await manager.dfrancParameters.sanitizeParameters(asset))) {
+                console.log("  Not configured");
+                continue;
+            }
+            const values = await manager.read(asset);
+            for (const [parameter, value] of Object.entries(values)) {
+                console.log(`  ${parameter.padEnd(22)} ${ParameterManager.format(parameter, value)}`);
+            }
+        }
+    });
+
+const setTask = task(
+    "params:set",
+    "Changes the DfrancParameters of a collateral, after checking the new values"
+)
+    .addParam("asset", "Collateral address or name, ETH for ETH")
+    .addOptionalParam("output", "Deployment output JSON, defaults to the OUTPUT_FILE of the network params")
+    .addOptionalParam("params", "Network whose deployment params to use, defaults to the selected one")
+    .addFlag("removeRedemptionBlock", "Allows redemptions of the collateral from now on")
+    .addFlag("dryRun", "Only print the changes");
+
+for (const [name, {option, kind, min, max}] of Object.entries(PARAMETERS)) {
+    const unit = kind == "amount" ? "DCHF" : "percent";
+    setTask.addOptionalParam(option, `New ${name}, in ${unit} (${min} to ${max})`);
+}
+
+setTask.setAction(async (taskArgs, hre) => {
+    const {manager, assets, signer} = await load(taskArgs, hre);
+    const [{name, asset}] = assets;
+
+    const inputs = {};
+    for (const [parameter, {option}] of Object.entries(PARAMETERS)) {
+        if (taskArgs[option] !== undefined) inputs[parameter] = taskArgs[option];
+    }
+    if (Object.keys(inputs).length == 0 && !taskArgs.removeRedemptionBlock) throw "No parameter to change";
+
+    const plan = await manager.plan(asset, inputs, taskArgs.removeRedemptionBlock);
+    console.log(`${name} (${asset})`);
+    if (plan.calls.length == 0) {
+        console.log("Nothing to change");
+        return;
+    }
+    for (const {name: parameter} of plan.calls) {
+        console.log(
+            `  ${parameter.padEnd(22)} ${ParameterManager.format(parameter, plan.before[parameter])} -> ` +
+                ParameterManager.format(parameter, plan.after[parameter])
+        );
+    }
+    for (const warning of plan.warnings) {
+        console.log(`Warning: ${warning}`);
+    }
+
+    const owner = await manager.dfrancParameters.owner();
+    if (owner.toLowerCase() != signer.address.toLowerCase()) {
+        console.log(`Warning: ${signer.address} is not the owner of DfrancParameters, ${owner}`);
+    }
+
+    if (taskArgs.dryRun) {
+        console.log(
+            `Dry run, ${plan.calls.map((call) => call.method).join(", ")} not sent by ${signer.address}`
+        );
+        return;
+    }
+
+    const {txs, after} = await manager.apply(plan);
+    for (const tx of txs) {
+        console.log(`${tx.method}: ${tx.hash}`);
+    }
+    for (const {name: parameter} of plan.calls) {
+        console.log(`  ${parameter.padEnd(22)} ${ParameterManager.format(parameter, after[parameter])}`);
+    }
+});
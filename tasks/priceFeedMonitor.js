@@ -0,0 +1,57 @@
+const {task, types} = require("hardhat/config");
+
+const {loadDeployment} = require("../deployment/helpers/deploymentLoader.js");
+
+task("price-feed-monitor", "Alerts on PriceFeed status changes, stale or frozen rounds and price deviations")
+    .addOptionalParam("output", "Deployment output JSON, defaults to the OUTPUT_FILE of the network params")
+    .addOptionalParam("params", "Network whose deployment params to use, defaults to the selected one")
+    .addOptionalParam("assets", "Comma separated tokens, defaults to those registered in PriceFeed")
+    .addOptionalParam("interval", "Seconds between two rounds", 60, types.int)
+    .addOptionalParam("maxDeviation", "Gap between the direct and last good prices, in bps", 500, types.int)
+    .addOptionalParam("forexTimeout", "Age of the forex round raising an alert, in seconds", 90000, types.int)
+    .addOptionalParam("webhook", "URL the alerts are posted to as JSON, e.g. http://localhost:8080/alerts")
+    .addOptionalParam("fromBlock", "First block searched for PriceFeed events", undefined, types.int)
+    .addFlag("once", "Run a single round and exit")
+    .setAction(async (taskArgs, hre) => {
+        const {ethers} = hre;
+        const {configParams, addressOf} = loadDeployment(taskArgs, hre);
+
+        const PriceFeedMonitor = require("../lib/priceFeedMonitor.js");
+        const StateSnapshot = require("../lib/stateSnapshot.js");
+        const PollingLoop = require("../lib/pollingLoop.js");
+        const priceFeed = await ethers.getContractAt("PriceFeed", addressOf("priceFeed"));
+
+        const collaterals = configParams.collaterals || [];
+        const tokens = taskArgs.assets
+            ? taskArgs.assets.split(",").map((asset) => asset.trim())
+            : await new StateSnapshot({priceFeed}).findCollaterals(
+                  collaterals.map((collateral) => collateral.asset),
+                  taskArgs.fromBlock
+              );
+
+        const names = {[ethers.constants.AddressZero]: "ETH"};
+        for (const collateral of collaterals) {
+            names[collateral.asset.toLowerCase()] = collateral.name;
+        }
+
+        const monitor = new PriceFeedMonitor(priceFeed, {
+            maxDeviation: taskArgs.maxDeviation,
+            forexTimeout: taskArgs.forexTimeout,
+            webhook: taskArgs.webhook,
+            fromBlock: taskArgs.fromBlock,
+            names,
+        });
+
+        // stdout carries the JSON records only
+        console.error(
+            `Monitoring ${tokens.length} tokens of PriceFeed ${priceFeed.address} on ${hre.network.name}`
+        );
+
+        if (taskArgs.once) {
+            await monitor.runOnce(tokens);
+            return;
+        }
+
+        PollingLoop.stopOnInterrupt(monitor, "Stopping after the current round", console.error);
+        await monitor.start(tokens, taskArgs.interval);
+    });
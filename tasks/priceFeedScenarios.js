@@ -0,0 +1,44 @@
+const {task} = require("hardhat/config");
+const fs = require("fs");
+const path = require("path");
+
+task("price-feed-scenarios", "Plays the PriceFeed price scenarios against the oracle mocks on Hardhat")
+    .addOptionalParam("scenarios", "Scenario JSON file, or directory of them", "scenarios/priceFeed")
+    .addFlag("verbose", "Print the state after every step")
+    .setAction(async (taskArgs, hre) => {
+        const {chainId} = await hre.ethers.provider.getNetwork();
+        if (chainId != 31337) throw `price-feed-scenarios only runs on Hardhat, not on chain ${chainId}`;
+
+        const location = path.resolve(taskArgs.scenarios);
+        if (!fs.existsSync(location)) throw `No scenarios at ${location}`;
+        const files = fs.statSync(location).isDirectory()
+            ? fs
+                  .readdirSync(location)
+                  .filter((file) => file.endsWith(".json"))
+                  .sort()
+                  .map((file) => path.join(location, file))
+            : [location];
+        if (files.length == 0) throw `No scenarios in ${location}`;
+
+        await hre.run("compile", {quiet: true});
+        const PriceFeedScenarioRunner = require("../lib/priceFeedScenarios.js");
+        const runner = new PriceFeedScenarioRunner();
+
+        const failed = [];
+        for (const file of files) {
+            const result = await runner.run(JSON.parse(fs.readFileSync(file)));
+            console.log(`${result.passed ? "PASS" : "FAIL"} ${path.basename(file)}: ${result.name}`);
+
+            for (const step of result.steps) {
+                const label = `  step ${step.step}${step.description ? ` (${step.description})` : ""}`;
+                if (taskArgs.verbose) console.log(`${label}: ${JSON.stringify(step.actual)}`);
+                for (const failure of step.failures) {
+                    console.log(`${label}: ${failure}`);
+                }
+            }
+            if (!result.passed) failed.push(result.name);
+        }
+
+        if (failed.length > 0) throw `${failed.length} of ${files.length} scenarios failed`;
+        console.log(`${files.length} scenarios passed`);
+    });
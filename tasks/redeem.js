@@ -0,0 +1,53 @@
+const {task, types} = require("hardhat/config");
+
+const {loadDeployment} = require("../deployment/helpers/deploymentLoader.js");
+
+task("redeem", "Redeems DCHF for collateral, with the redemption hints computed on-chain")
+    .addParam("asset", "Collateral to redeem, 0x0000000000000000000000000000000000000000 for ETH")
+    .addParam("amount", "DCHF to redeem")
+    .addParam("maxFee", "Max redemption fee accepted, in percent (e.g. 0.5)")
+    .addOptionalParam("maxIterations", "Troves redeemed from at most, 0 for no limit", 0, types.int)
+    .addOptionalParam("output", "Deployment output JSON, defaults to the OUTPUT_FILE of the network params")
+    .addOptionalParam("params", "Network whose deployment params to use, defaults to the selected one")
+    .addFlag("dryRun", "Only print the hints and the expected fee")
+    .setAction(async (taskArgs, hre) => {
+        const {ethers} = hre;
+        const {addressOf} = loadDeployment(taskArgs, hre);
+
+        const RedemptionClient = require("../lib/redemptionClient.js");
+        const contracts = {
+            troveManager: await ethers.getContractAt("TroveManager", addressOf("troveManager")),
+            sortedTroves: await ethers.getContractAt("SortedTroves", addressOf("sortedTroves")),
+            hintHelpers: await ethers.getContractAt("HintHelpers", addressOf("hintHelpers")),
+            priceFeed: await ethers.getContractAt("PriceFeed", addressOf("priceFeed")),
+            dfrancParameters: await ethers.getContractAt("DfrancParameters", addressOf("dfrancParameters")),
+        };
+        const [signer] = await ethers.getSigners();
+        const client = new RedemptionClient(contracts, signer, {maxIterations: taskArgs.maxIterations});
+
+        const DCHFAmount = ethers.utils.parseEther(taskArgs.amount);
+        const maxFeePercentage = ethers.utils.parseUnits(taskArgs.maxFee, 16);
+
+        const quote = await client.quote(taskArgs.asset, DCHFAmount);
+        console.log(`Redeemer: ${signer.address}`);
+        console.log(`DCHF redeemed: ${ethers.utils.formatEther(quote.DCHFAmount)} of ${taskArgs.amount}`);
+        console.log(`First redemption hint: ${quote.hints.firstRedemptionHint}`);
+        console.log(`Partial redemption NICR: ${quote.hints.partialRedemptionHintNICR}`);
+        console.log(`Upper partial redemption hint: ${quote.hints.upperPartialRedemptionHint}`);
+        console.log(`Lower partial redemption hint: ${quote.hints.lowerPartialRedemptionHint}`);
+        console.log(`Expected fee rate: ${ethers.utils.formatUnits(quote.rate, 16)}%`);
+        console.log(`Expected fee: ${ethers.utils.formatEther(quote.fee)}`);
+        console.log(`Expected collateral received: ${ethers.utils.formatEther(quote.assetReceived)}`);
+
+        if (taskArgs.dryRun) return;
+
+        const {tx, redemption} = await client.redeem(taskArgs.asset, DCHFAmount, maxFeePercentage);
+        console.log(`Redeemed in ${tx.hash}`);
+        if (redemption) {
+            console.log(
+                `DCHF redeemed: ${ethers.utils.formatEther(redemption._actualMONmount)}, ` +
+                    `collateral sent: ${ethers.utils.formatEther(redemption._AssetSent)}, ` +
+                    `fee: ${ethers.utils.formatEther(redemption._AssetFee)}`
+            );
+        }
+    });
@@ -0,0 +1,76 @@
+const {task} = require("hardhat/config");
+const fs = require("fs");
+const path = require("path");
+
+const {loadDeployment} = require("../deployment/helpers/deploymentLoader.js");
+
+task("safe-batch", "Turns a change file into a Safe Transaction Builder batch for the admin multisig")
+    .addParam("changes", "Change file, a JSON with a name, a description and a list of actions")
+    .addOptionalParam("output", "Deployment output JSON, defaults to the OUTPUT_FILE of the network params")
+    .addOptionalParam("params", "Network whose deployment params to use, defaults to the selected one")
+    .addOptionalParam("safe", "Safe owning the contracts, defaults to ADMIN_MULTI of the network params")
+    .addOptionalParam("file", "Batch file, defaults to the change file with a .safe.json extension")
+    .setAction(async (taskArgs, hre) => {
+        const {ethers} = hre;
+        const {configParams, deploymentState} = loadDeployment(taskArgs, hre);
+        const externalAddrs = configParams.externalAddrs || {};
+        const collaterals = configParams.collaterals || [];
+
+        // Change file addresses may be deployment output entries, collateral names or externalAddrs keys
+        const resolve = (value) => {
+            if (typeof value != "string") return value;
+            if (value.toUpperCase() == "ETH") return ethers.constants.AddressZero;
+            if (deploymentState[value]) return deploymentState[value].address;
+            const collateral = collaterals.find((c) => c.name == value);
+            if (collateral) return collateral.asset;
+            if (externalAddrs[value]) return externalAddrs[value];
+            if (!ethers.utils.isAddress(value)) throw `Cannot resolve ${value} to an address`;
+            return value;
+        };
+
+        const SafeBatch = require("../lib/safeBatch.js");
+        const contracts = {};
+        for (const [name, artifact] of Object.entries(SafeBatch.OWNED_CONTRACTS)) {
+            const address = deploymentState[name]
+                ? deploymentState[name].address
+                : name == "feeContract" && externalAddrs.FEE_CONTRACT;
+            if (address) contracts[name] = await ethers.getContractAt(artifact, address);
+        }
+
+        const safe = taskArgs.safe || (configParams.dfrancAddresses || {}).ADMIN_MULTI;
+        if (!safe) throw "No Safe, use --safe";
+
+        const changesFile = path.resolve(taskArgs.changes);
+        const changes = JSON.parse(fs.readFileSync(changesFile));
+        if (!Array.isArray(changes.actions) || changes.actions.length == 0)
+            throw "The change file has no actions";
+
+        const batch = new SafeBatch(contracts, safe, resolve);
+        changes.actions.forEach((action, i) => {
+            try {
+                batch.add(action);
+            } catch (error) {
+                throw `Action ${i} (${action.type}): ${error.message || error}`;
+            }
+        });
+
+        const {chainId} = await ethers.provider.getNetwork();
+        const name = changes.name || path.basename(changesFile, ".json");
+        const json = batch.build(chainId, name, changes.description);
+
+        const file = path.resolve(taskArgs.file || changesFile.replace(/(\.json)?$/, ".safe.json"));
+        fs.writeFileSync(file, JSON.stringify(json, null, 2));
+
+        console.log(`${name}: ${json.transactions.length} transactions from ${safe} on chain ${chainId}`);
+        const entries = await batch.preview();
+        entries.forEach((entry, i) => {
+            console.log(`\n${i + 1}. ${entry.description}`);
+            console.log(`   to: ${entry.to}`);
+            console.log(`   ${entry.call}`);
+            for (const note of entry.notes) {
+                console.log(`   ${note}`);
+            }
+            console.log(`   simulation: ${entry.simulation}`);
+        });
+        console.log(`\nBatch written to ${file}, load it in the Transaction Builder of the Safe`);
+    });
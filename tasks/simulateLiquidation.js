@@ -0,0 +1,88 @@
+const {task, types} = require("hardhat/config");
+
+const {loadDeployment} = require("../deployment/helpers/deploymentLoader.js");
+
+task(
+    "simulate-liquidation",
+    "Simulates with eth_call the LiquidatorDCHF liquidation of the troves of an asset"
+)
+    .addParam("asset", "Collateral of the troves")
+    .addOptionalParam(
+        "troves",
+        "Comma separated borrowers, defaults to the troves below LIQ_MCR from the tail"
+    )
+    .addOptionalParam(
+        "liquidator",
+        "LiquidatorDCHF address, defaults to liquidatorDCHF of the deployment output"
+    )
+    .addOptionalParam("output", "Deployment output JSON, defaults to the OUTPUT_FILE of the network params")
+    .addOptionalParam("params", "Network whose deployment params to use, defaults to the selected one")
+    .addOptionalParam("maxTroves", "Maximum troves taken from the tail", 10, types.int)
+    .addOptionalParam("gasLimit", "Gas the liquidations may use, defaults to the block gas limit")
+    .setAction(async (taskArgs, hre) => {
+        const {ethers} = hre;
+        const {addressOf} = loadDeployment(taskArgs, hre);
+
+        const contracts = {
+            troveManager: await ethers.getContractAt("TroveManager", addressOf("troveManager")),
+            sortedTroves: await ethers.getContractAt("SortedTroves", addressOf("sortedTroves")),
+            priceFeed: await ethers.getContractAt("PriceFeed", addressOf("priceFeed")),
+            dfrancParameters: await ethers.getContractAt("DfrancParameters", addressOf("dfrancParameters")),
+            liquidatorDCHF: await ethers.getContractAt(
+                "LiquidatorDCHF",
+                taskArgs.liquidator || addressOf("liquidatorDCHF")
+            ),
+        };
+        const [signer] = await ethers.getSigners();
+
+        let borrowers;
+        if (taskArgs.troves) {
+            borrowers = taskArgs.troves.split(",").map((borrower) => borrower.trim());
+        } else {
+            const LiquidationKeeper = require("../lib/liquidationKeeper.js");
+            const keeper = new LiquidationKeeper(contracts, signer, {maxTroves: taskArgs.maxTroves});
+            borrowers = (await keeper.findLiquidatableTroves(taskArgs.asset)).troves.map(
+                (trove) => trove.borrower
+            );
+        }
+        if (borrowers.length == 0) {
+            console.log("No troves to liquidate");
+            return;
+        }
+
+        const LiquidationSimulator = require("../lib/liquidationSimulator.js");
+        const simulator = new LiquidationSimulator(contracts, signer, {gasLimit: taskArgs.gasLimit});
+        const report = await simulator.simulateTroves(taskArgs.asset, borrowers);
+
+        console.log(`Gas limit: ${report.gasLimit}`);
+        console.log("\nliquidateSingle, one transaction per trove:");
+        console.table(
+            report.single.simulated.map((result) => ({
+                borrower: result.borrower,
+                debt: ethers.utils.formatEther(result.debt),
+                profit: ethers.utils.formatEther(result.profit),
+                gas: result.gas.toString(),
+                included: report.single.troves.includes(result.borrower),
+                error: result.error || "",
+            }))
+        );
+        console.log(
+            `${report.single.troves.length} troves, profit ${ethers.utils.formatEther(
+                report.single.profit
+            )} DCHF, gas ${report.single.gas}`
+        );
+
+        if (report.multi) {
+            console.log(
+                `\nliquidateMulti: ${report.multi.n} troves, profit ${ethers.utils.formatEther(
+                    report.multi.profit
+                )} DCHF, gas ${report.multi.gas}`
+            );
+        } else {
+            console.log(
+                "\nliquidateMulti: none succeeds, or the troves are not the tail of the sorted troves"
+            );
+        }
+
+        console.log(`\nMost profitable: ${report.best}`);
+    });